@@ -0,0 +1,64 @@
+/**
+ * bounce.mjs
+ * Headless offline bounce for CI / render boxes: serves the app with Vite,
+ * opens it in headless Chromium with ?bounce= and saves the WAV the page
+ * downloads. Rendering happens in the browser's OfflineAudioContext (see
+ * src/audio/Bounce.js); this script only drives it.
+ *
+ *   npm run bounce -- [--seconds 30] [--seed 1234] [--take take.json] [--out aura.wav]
+ *
+ * Needs a Chromium for Playwright (`npx playwright install chromium`).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+import { chromium } from 'playwright';
+
+const TAKE_PATH = '/__bounce-take.json';
+
+const { values: args } = parseArgs({
+    options: {
+        seconds: { type: 'string' },
+        seed: { type: 'string' },
+        take: { type: 'string' },
+        out: { type: 'string', default: 'aura-bounce.wav' },
+        timeout: { type: 'string', default: '600' } // seconds
+    }
+});
+
+const server = await createServer({ logLevel: 'warn', server: { host: '127.0.0.1', port: 0 } });
+await server.listen();
+let browser = null;
+
+try {
+    // The renderer needs WebGL even for an audio-only bounce: use the software rasterizer
+    browser = await chromium.launch({ args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader'] });
+    const page = await browser.newPage();
+    page.on('console', (message) => {
+        if (message.type() === 'error') console.error(`[page] ${message.text()}`);
+    });
+
+    const query = new URLSearchParams({ bounce: args.seconds ?? '' });
+    if (args.seed) query.set('seed', args.seed);
+    if (args.take) {
+        const take = await readFile(args.take);
+        await page.route(`**${TAKE_PATH}`, (route) => route.fulfill({ body: take, contentType: 'application/json' }));
+        query.set('take', TAKE_PATH);
+    }
+
+    const timeout = Number(args.timeout) * 1000;
+    const download = page.waitForEvent('download', { timeout });
+    // Settles with null when the page reports a failure (or closes)
+    const failed = page.waitForFunction(() => document.title === 'AURA // BOUNCE_FAILED', null, { timeout: 0 })
+        .then(() => null, () => null);
+
+    await page.goto(`${server.resolvedUrls.local[0]}?${query}`);
+    const file = await Promise.race([download, failed]);
+    if (!file) throw new Error('Bounce failed in the page (see the log above).');
+    await file.saveAs(args.out);
+    console.log(`[bounce] ${args.out}`);
+} finally {
+    await browser?.close();
+    await server.close();
+}
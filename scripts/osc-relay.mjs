@@ -0,0 +1,56 @@
+/**
+ * osc-relay.mjs
+ * Local relay between the browser OscBridge (OSC over WebSocket) and UDP
+ * OSC hosts such as TouchDesigner or Max. Packets are forwarded untouched.
+ *
+ *   npm run relay
+ *
+ * Environment:
+ *   HOST      interface the WebSocket and UDP-in listen on (default 127.0.0.1;
+ *             0.0.0.0 lets anyone on the network drive the installation)
+ *   WS_PORT   WebSocket port the app connects to        (default 8081)
+ *   UDP_IN    UDP port to receive control messages on     (default 9000)
+ *   UDP_OUT   UDP port telemetry is sent to               (default 9001)
+ *   UDP_HOST  host telemetry is sent to                   (default 127.0.0.1)
+ */
+
+import dgram from 'node:dgram';
+import { WebSocketServer } from 'ws';
+
+const HOST = process.env.HOST ?? '127.0.0.1';
+const WS_PORT = Number(process.env.WS_PORT ?? 8081);
+const UDP_IN = Number(process.env.UDP_IN ?? 9000);
+const UDP_OUT = Number(process.env.UDP_OUT ?? 9001);
+const UDP_HOST = process.env.UDP_HOST ?? '127.0.0.1';
+
+const udp = dgram.createSocket('udp4');
+const wss = new WebSocketServer({ host: HOST, port: WS_PORT });
+
+/* --- UDP -> every browser client --- */
+udp.on('message', (packet) => {
+    wss.clients.forEach((client) => {
+        if (client.readyState === client.OPEN) client.send(packet, { binary: true });
+    });
+});
+
+/* --- browser -> UDP (telemetry) --- */
+wss.on('connection', (socket, request) => {
+    console.log(`[relay] client connected from ${request.socket.remoteAddress}`);
+    socket.send('aura-relay ready');
+
+    socket.on('message', (data, isBinary) => {
+        if (!isBinary) return;
+        udp.send(data, UDP_OUT, UDP_HOST);
+    });
+    socket.on('close', () => console.log('[relay] client disconnected'));
+});
+
+udp.bind(UDP_IN, HOST, () => {
+    console.log(`[relay] ws://${HOST}:${WS_PORT}  udp in ${HOST}:${UDP_IN}  udp out ${UDP_HOST}:${UDP_OUT}`);
+});
+
+process.on('SIGINT', () => {
+    wss.close();
+    udp.close();
+    process.exit(0);
+});
@@ -5,34 +5,80 @@
 
 import * as Tone from 'tone';
 import { signals } from '../core/Signals.js';
+import { random } from '../core/Random.js';
+import { modulation as sharedModulation } from '../core/Modulation.js';
+import { Harmony } from './Harmony.js';
+import { NoteLog } from './MidiExport.js';
+import { MasterAnalysis } from './MasterAnalysis.js';
+import { MusicEventBus } from './MusicEvents.js';
+
+const toMidi = (note) => Tone.Frequency(note).toMidi();
+
+const MAX_LEAD_VOICES = 4;
 
 export class AudioEngine {
-    constructor() {
+    constructor({ source = signals, rng = random.stream('audio'), modulation = sharedModulation } = {}) {
+        this.signals = source;
+        this.rng = rng;
+        this.modulation = modulation;
         this.initialized = false;
         
-        // Chords: DbM7 add9, Fm7 add11, DbM7 add9, Fm7 add11
-        this.chords = [
-            ['Db2', 'Ab2', 'C3', 'Eb3', 'F3'],
-            ['F2', 'C3', 'Eb3', 'Ab3', 'Bb3'],
-            ['Db2', 'Ab2', 'C3', 'Eb3', 'F3'],
-            ['F2', 'C3', 'Eb3', 'Ab3', 'Bb3'],
-        ];
+        // Key, progression and voicings (see progressions.js)
+        this.harmony = new Harmony();
+
+        // Lead instrument (drag): Y = pitch, X = timbre, velocity = vibrato
+        this.leadOptions = {
+            quantize: true,       // false = "fretless" continuous pitch
+            lowNote: 48,          // MIDI note at the bottom of the screen
+            octaves: 3,
+            portamento: 0.08,     // seconds
+            vibratoRate: 5.5,     // Hz
+            vibratoDepth: 0.6     // 0..1 at full velocity
+        };
+        this.leadVoices = [];
+        this.heldLeadNote = null; // set while an external controller plays the lead
+
+        // Layer switches (gamepad / controller toggles)
+        this.layers = { pad: true, shelf: true, grain: true, lead: true, superSaw: true, spin: true };
+
+        // Base level per layer in dB; signal modulation is added on top (presets)
+        this.mix = { pad: -15, shelf: -16, grain: 0, lead: -15, superSaw: -40, spin: -22 };
+
+        // Scheduled notes, exportable as a Standard MIDI File
+        this.noteLog = new NoteLog();
+
+        // Spectrum / envelope tap for audio-reactive visuals
+        this.analysis = new MasterAnalysis(this);
+
+        // Discrete musical events for visuals / overlay (see MusicEvents.js)
+        this.events = new MusicEventBus();
         
-        this.currentChordIndex = 0;
-        this.chordTransitionTime = 0;
         this.superSawActive = false;
     }
 
     async init() {
         if (this.initialized) return;
         await Tone.start();
-        
+        this.setup();
+    }
+
+    /**
+     * Builds the five layers and starts the generative loop in the current
+     * Tone context. Called directly (without Tone.start) for offline bounces.
+     */
+    setup() {
+        // Bind to the context active now; offline renders swap it back early
+        this.context = Tone.getContext();
+        this.transport = this.context.transport;
+        this.events.draw = this.context.draw;
+
         // --- MASTER CHAIN ---
         this.master = new Tone.Gain(0.9).toDestination();
         this.limiter = new Tone.Limiter(-2).connect(this.master);
         this.reverb = new Tone.Reverb({ decay: 9, wet: 0.35 }).connect(this.limiter);
         this.delay = new Tone.FeedbackDelay("8n", 0.25).connect(this.reverb);
-        this.fxSend = new Tone.Gain(0.35).connect(this.delay);
+        this.fxLevel = 0.35; // base send level; modulation adds on top
+        this.fxSend = new Tone.Gain(this.fxLevel).connect(this.delay);
         
         // --- LAYER 1: Polyphonic Pad (The Bed) ---
         this.pad = new Tone.PolySynth(Tone.Synth, {
@@ -51,7 +97,7 @@ export class AudioEngine {
         });
         this.monoShelf.connect(this.limiter);
         this.monoShelf.connect(this.fxSend);
-        this.monoShelf.volume.value = -16;
+        this.monoShelf.volume.value = this.mix.shelf;
 
         // --- LAYER 3: Monophonic Probabilistic (Grains/Texture) ---
         this.grainSynth = new Tone.MembraneSynth({
@@ -61,15 +107,23 @@ export class AudioEngine {
         });
         this.grainSynth.connect(this.limiter);
         this.grainSynth.connect(this.fxSend);
-        // --- LAYER 4: Melodic Foreground (Drag gesture) ---
-        this.leadSynth = new Tone.MonoSynth({
-            oscillator: { type: 'sine' },
-            envelope: { attack: 0.1, decay: 0.2, sustain: 0.8, release: 1 },
-            filter: { Q: 1, type: 'lowpass' }
-        });
-        this.leadSynth.connect(this.limiter);
-        this.leadSynth.connect(this.fxSend);
-        this.leadSynth.volume.value = -100; // Start silent
+        this.grainSynth.volume.value = this.mix.grain;
+        // --- LAYER 4: Melodic Foreground (Drag gesture, one voice per pointer) ---
+        this.leadVibrato = new Tone.Vibrato(this.leadOptions.vibratoRate, 0);
+        this.leadVibrato.connect(this.limiter);
+        this.leadVibrato.connect(this.fxSend);
+        for (let i = 0; i < MAX_LEAD_VOICES; i++) {
+            const synth = new Tone.MonoSynth({
+                oscillator: { type: 'sine' },
+                envelope: { attack: 0.1, decay: 0.2, sustain: 0.8, release: 1 },
+                filter: { Q: 1, type: 'lowpass' },
+                portamento: this.leadOptions.portamento
+            });
+            synth.connect(this.leadVibrato);
+            synth.volume.value = -100; // Start silent
+            this.leadVoices.push({ synth, midi: null, morph: -1, pointerId: null });
+        }
+        this.leadSynth = this.leadVoices[0].synth; // primary voice (mouse, MIDI)
 
         // --- LAYER 5: Super-saw mass (Click + Drag) ---
         this.superSawOsc = new Tone.FatOscillator({
@@ -87,11 +141,27 @@ export class AudioEngine {
         this.superSawAmp.connect(this.superSawDry);
         this.superSawAmp.connect(this.fxSend);
 
+        // --- Ring spin voice (grabbed rings, see visuals/Picker.js) ---
+        this.spinOsc = new Tone.FMOscillator({
+            type: 'sine',
+            modulationType: 'triangle',
+            harmonicity: 3.01,
+            modulationIndex: 6
+        });
+        this.spinFilter = new Tone.Filter(800, 'bandpass');
+        this.spinAmp = new Tone.Gain(0);
+        this.spinOsc.chain(this.spinFilter, this.spinAmp, this.limiter);
+        this.spinAmp.connect(this.fxSend);
+        this.spinOsc.start();
+
+        this.analysis.connect();
+        this.registerModulation();
+
         this.initialized = true;
         this.startGenerativeLoop();
 
         // Keep the super-saw oscillator running; drag controls its audible level.
-        const chord = this.chords[this.currentChordIndex];
+        const chord = this.harmony.notes;
         const baseNote = chord[1] ?? chord[0];
         const note = Tone.Frequency(baseNote).transpose(-2).toFrequency();
         this.superSawOsc.frequency.value = note;
@@ -101,105 +171,435 @@ export class AudioEngine {
 
     startGenerativeLoop() {
         // Chord progression logic
-        Tone.Transport.scheduleRepeat((time) => {
-            const energy = signals.params.energy;
+        this.transport.scheduleRepeat((time) => {
+            const energy = this.signals.params.energy;
             
             // Interaction influences chord change probability
-            if (Math.random() < 0.1 + energy * 0.2) {
-                this.currentChordIndex = (this.currentChordIndex + 1) % this.chords.length;
+            if (this.rng.chance(0.1 + energy * 0.2)) {
+                this.harmony.advance(this.rng);
                 this.playChord(time);
             }
         }, "4n");
 
         // Monophonic Ordered Loop
-        Tone.Transport.scheduleRepeat((time) => {
-            if (Math.random() < 0.3 + signals.params.energy * 0.4) {
-                const chord = this.chords[this.currentChordIndex];
-                const note = chord[Math.floor(Math.random() * 3)]; // Lower notes
+        this.transport.scheduleRepeat((time) => {
+            if (this.rng.chance(0.3 + this.signals.params.energy * 0.4) && this.layers.shelf) {
+                const note = this.rng.pick(this.harmony.lowNotes); // Lower notes
                 this.monoShelf.triggerAttackRelease(note, "2n", time);
+                this.noteLog.note('shelf', toMidi(note), time, Tone.Time("2n").toSeconds());
+                this.events.emit('shelf', { note, midi: toMidi(note) }, time);
             }
         }, "2n");
 
         // Monophonic Probabilistic (High Register)
-        Tone.Transport.scheduleRepeat((time) => {
-            const focus = signals.params.focus;
-            const velocity = signals.params.velocity;
+        this.transport.scheduleRepeat((time) => {
+            const focus = this.signals.params.focus;
+            const velocity = this.signals.params.velocity;
             const probability = Math.min(1, 0.05 + focus * 0.4 + velocity * 0.8);
-            if (Math.random() < probability) {
-                const chord = this.chords[this.currentChordIndex];
+            if (this.rng.chance(probability) && this.layers.grain) {
                 // Transpose up 2 octaves for high register
-                const noteBase = chord[Math.floor(Math.random() * chord.length)];
+                const noteBase = this.rng.pick(this.harmony.notes);
                 const note = Tone.Frequency(noteBase).transpose(24);
                 const velocityAmp = 0.2 + focus * 0.4 + velocity * 0.4;
                 this.grainSynth.triggerAttackRelease(note, "16n", time, velocityAmp);
+                this.noteLog.note('grain', note.toMidi(), time, Tone.Time("16n").toSeconds(), velocityAmp);
+                this.events.emit('grain', { note: note.toNote(), midi: note.toMidi(), velocity: velocityAmp }, time);
             }
         }, "8n");
 
-        Tone.Transport.start();
-        this.playChord(Tone.now());
+        this.transport.start();
+        this.playChord(this.context.now());
+    }
+
+    /**
+     * Drag lead: Y maps onto a multi-octave scale in the current key
+     * (or a continuous "fretless" range), X morphs sine -> saw and opens the
+     * filter, and pointer velocity adds vibrato. With two or more pressed
+     * pointers every pointer plays its own voice.
+     */
+    updateLead() {
+        if (this.heldLeadNote !== null) return;
+        if (!this.layers.lead) {
+            this.leadVoices.forEach((voice) => this.playLeadVoice(voice, 0));
+            return;
+        }
+
+        const { drag, position: pos, velocity } = this.signals.params;
+        this.leadVibrato.depth.rampTo(Math.min(1, velocity * this.leadOptions.vibratoDepth), 0.1);
+
+        const pressed = [...this.signals.pointers].filter(([, p]) => p.down);
+
+        if (pressed.length < 2) {
+            // Single voice follows the aggregate drag/cursor
+            this.leadVoices.forEach((voice) => { voice.pointerId = null; });
+            this.playLeadVoice(this.leadVoices[0], drag, pos.x, pos.y);
+            this.leadVoices.slice(1).forEach((voice) => this.playLeadVoice(voice, 0));
+            return;
+        }
+
+        // Sticky voice allocation by pointer id
+        const ids = new Set(pressed.map(([id]) => id));
+        this.leadVoices.forEach((voice) => {
+            if (!ids.has(voice.pointerId)) voice.pointerId = null;
+        });
+        ids.forEach((id) => {
+            if (this.leadVoices.some((voice) => voice.pointerId === id)) return;
+            const free = this.leadVoices.find((voice) => voice.pointerId === null);
+            if (free) free.pointerId = id;
+        });
+
+        this.leadVoices.forEach((voice) => {
+            const pointer = this.signals.pointers.get(voice.pointerId);
+            if (pointer) this.playLeadVoice(voice, pointer.drag, pointer.x, pointer.y);
+            else this.playLeadVoice(voice, 0);
+        });
+    }
+
+    playLeadVoice(voice, drag, x = 0.5, y = 0.5) {
+        const { synth } = voice;
+        const opts = this.leadOptions;
+
+        if (drag > 0.05) {
+            const height = Math.min(1, Math.max(0, 1 - y));
+            const span = opts.octaves * 12;
+            let midi;
+            if (opts.quantize) {
+                const scale = this.harmony.scale(opts.lowNote, opts.lowNote + span);
+                midi = scale[Math.round(height * (scale.length - 1))];
+            } else {
+                midi = opts.lowNote + height * span;
+            }
+            const note = 440 * Math.pow(2, (midi - 69) / 12);
+
+            if (synth.oscillator?.state !== 'started') {
+                synth.triggerAttack(note);
+                this.events.emit('leadAttack', {
+                    voice: this.leadVoices.indexOf(voice), midi, velocity: Math.min(1, drag)
+                }, this.context.now());
+            } else if (midi !== voice.midi) {
+                synth.setNote(note);
+            }
+            if (Math.round(midi) !== Math.round(voice.midi ?? -1)) {
+                const now = this.context.now();
+                if (voice.midi !== null) this.noteLog.noteOff('lead', Math.round(voice.midi), now);
+                this.noteLog.noteOn('lead', Math.round(midi), now, Math.min(1, drag));
+            }
+            voice.midi = midi;
+
+            this.setVoiceMorph(voice, x);
+            synth.filterEnvelope.baseFrequency = 300 + x * x * 6000;
+            synth.volume.rampTo(this.mix.lead + drag * 10, 0.1);
+        } else {
+            synth.volume.rampTo(-100, 0.5);
+            if (synth.volume.value < -80 && synth.oscillator?.state === 'started') {
+                synth.triggerRelease();
+                if (voice.midi !== null) this.noteLog.noteOff('lead', Math.round(voice.midi), this.context.now());
+                this.events.emit('leadRelease', { voice: this.leadVoices.indexOf(voice), midi: voice.midi }, this.context.now());
+                voice.midi = null;
+            }
+        }
+    }
+
+    /* Waveform morph: sine (0) to saw-like (1), rebuilt only in 1/16 steps */
+    setVoiceMorph(voice, amount) {
+        const step = Math.round(Math.min(1, Math.max(0, amount)) * 16) / 16;
+        if (step === voice.morph) return;
+        voice.morph = step;
+
+        const partials = [1];
+        for (let n = 2; n <= 8; n++) partials.push((step / n));
+        voice.synth.oscillator.partials = partials;
+    }
+
+    setLeadOptions(options) {
+        Object.assign(this.leadOptions, options);
+        if (!this.initialized) return;
+        this.leadVoices.forEach(({ synth }) => { synth.portamento = this.leadOptions.portamento; });
+        this.leadVibrato.frequency.value = this.leadOptions.vibratoRate;
+    }
+
+    /* =========================
+     * External note input (MIDI etc.)
+     * ========================= */
+    noteOn(layer, midi, velocity = 1) {
+        if (!this.initialized) return;
+        const note = Tone.Frequency(midi, 'midi').toFrequency();
+        const time = this.context.now();
+
+        if (layer === 'lead') {
+            this.heldLeadNote = midi;
+            this.leadSynth.volume.cancelScheduledValues(time);
+            this.leadSynth.volume.rampTo(this.mix.lead + velocity * 10, 0.02);
+            this.leadSynth.triggerAttack(note, time, velocity);
+            this.events.emit('leadAttack', { voice: 0, midi, velocity }, time);
+        } else if (layer === 'pad') {
+            this.pad.triggerAttack(note, time, velocity);
+        }
+        this.noteLog.noteOn(layer, midi, time, velocity);
+    }
+
+    noteOff(layer, midi) {
+        if (!this.initialized) return;
+        const time = this.context.now();
+
+        if (layer === 'lead' && this.heldLeadNote === midi) {
+            this.heldLeadNote = null;
+            this.leadSynth.triggerRelease(time);
+            this.noteLog.noteOff(layer, midi, time);
+            this.events.emit('leadRelease', { voice: 0, midi }, time);
+        } else if (layer === 'pad') {
+            this.pad.triggerRelease(Tone.Frequency(midi, 'midi').toFrequency(), time);
+            this.noteLog.noteOff(layer, midi, time);
+        }
+    }
+
+    setLayerEnabled(layer, enabled) {
+        if (!(layer in this.layers)) throw new Error(`Unknown layer "${layer}"`);
+        this.layers[layer] = enabled;
+        if (!this.initialized) return;
+
+        if (layer === 'pad') {
+            if (enabled) this.playChord(this.context.now());
+            else this.pad.releaseAll(this.context.now());
+        }
+    }
+
+    toggleLayer(layer) {
+        this.setLayerEnabled(layer, !this.layers[layer]);
+    }
+
+    /* Steps through the progression (+1 / -1) */
+    stepChord(direction) {
+        this.selectChord(this.harmony.index + direction);
+    }
+
+    selectChord(index) {
+        this.harmony.select(index);
+        if (this.initialized) this.playChord(this.context.now());
     }
 
     playChord(time) {
-        const chord = this.chords[this.currentChordIndex];
+        const chord = this.harmony.notes;
+        this.events.emit('chord', { name: this.harmony.symbol, notes: chord, index: this.harmony.index }, time);
         this.pad.releaseAll(time);
+        this.noteLog.releaseTrack('pad', time);
+        if (!this.layers.pad) return;
+
         this.pad.triggerAttack(chord, time);
+        chord.forEach((note) => this.noteLog.noteOn('pad', toMidi(note), time, 0.6));
     }
 
-    update() {
+    /* =========================
+     * MIDI export
+     * ========================= */
+    startNoteLog() {
         if (!this.initialized) return;
-        
-        const energy = signals.params.energy;
-        const focus = signals.params.focus;
-        const sharpness = signals.params.sharpness;
-        const dragActive = signals.params.dragActive;
-        const dragForce = signals.params.dragForce;
-        
-        // Modulate pad volume and filter
-        this.pad.volume.rampTo(-15 + energy * 10, 0.1);
-        
-        // Modulate shelf synth based on energy
-        const cutoff = 400 + energy * 4000;
-        this.monoShelf.filter.frequency.rampTo(cutoff, 0.1);
+        this.noteLog.start(this.context.now(), this.transport.bpm.value);
+        // Seed the log with the chord already sounding
+        this.harmony.notes.forEach((note) => this.noteLog.noteOn('pad', toMidi(note), this.context.now(), 0.6));
+    }
 
-        // Lead Synth (Drag) logic
-        const drag = signals.params.drag;
-        if (drag > 0.05) {
-            const pos = signals.params.position;
-            // Map Y position to high register notes in the current chord
-            const chord = this.chords[this.currentChordIndex];
-            const noteIndex = Math.floor((1 - pos.y) * chord.length);
-            const noteBase = chord[noteIndex];
-            const note = Tone.Frequency(noteBase).transpose(12 + drag * 12).toFrequency();
-            
-            this.leadSynth.frequency.rampTo(note, 0.05);
-            this.leadSynth.volume.rampTo(-15 + drag * 10, 0.1);
-            if (this.leadSynth.oscillator?.state !== 'started') {
-                this.leadSynth.triggerAttack(note);
+    /* @returns {Blob|null} Standard MIDI File of everything logged since start */
+    stopNoteLog() {
+        if (!this.noteLog.recording) return null;
+        this.noteLog.stop(this.context.now());
+        return this.noteLog.toBlob();
+    }
+
+    /**
+     * Swaps the progression mid-session. The first chord of the new
+     * progression is voice-led from the sounding one; the pad's slow
+     * attack/release crossfades the two.
+     */
+    setProgression(progression) {
+        this.harmony.setProgression(progression, { voiceLead: this.initialized });
+        if (this.initialized) this.playChord(this.context.now());
+    }
+
+    /* =========================
+     * Presets (see Presets.js)
+     * ========================= */
+    /* @returns {object} plain-data snapshot of layer and FX settings */
+    getSettings() {
+        const envelope = ({ attack, decay, sustain, release }) => ({ attack, decay, sustain, release });
+        const pad = this.pad.get();
+        const shelf = this.monoShelf.get();
+        const grain = this.grainSynth.get();
+        const lead = this.leadSynth.get();
+
+        return {
+            layers: {
+                pad: { volume: this.mix.pad, oscillator: pad.oscillator.type, envelope: envelope(pad.envelope) },
+                shelf: {
+                    volume: this.mix.shelf,
+                    oscillator: shelf.oscillator.type,
+                    envelope: envelope(shelf.envelope),
+                    filterQ: shelf.filter.Q
+                },
+                grain: {
+                    volume: this.mix.grain,
+                    pitchDecay: grain.pitchDecay,
+                    octaves: grain.octaves,
+                    envelope: envelope(grain.envelope)
+                },
+                lead: {
+                    volume: this.mix.lead,
+                    envelope: envelope(lead.envelope),
+                    filterQ: lead.filter.Q,
+                    portamento: this.leadOptions.portamento
+                },
+                superSaw: {
+                    volume: this.mix.superSaw,
+                    oscillator: this.superSawOsc.type,
+                    count: this.superSawOsc.count
+                }
+            },
+            fx: {
+                reverbDecay: this.reverb.decay,
+                reverbWet: this.reverb.wet.value,
+                delayTime: this.delay.delayTime.value,
+                delayFeedback: this.delay.feedback.value,
+                send: this.fxLevel
             }
-        } else {
-            this.leadSynth.volume.rampTo(-100, 0.5);
-            if (this.leadSynth.volume.value < -80 && this.leadSynth.oscillator?.state === 'started') {
-                this.leadSynth.triggerRelease();
+        };
+    }
+
+    /**
+     * Applies a (possibly partial) settings object from getSettings().
+     * Called every frame during a preset crossfade, so only touch what changed.
+     */
+    applySettings({ layers = {}, fx = {} }) {
+        const { pad, shelf, grain, lead, superSaw } = layers;
+
+        if (pad) {
+            this.mix.pad = pad.volume ?? this.mix.pad;
+            this.pad.set({
+                ...(pad.oscillator && { oscillator: { type: pad.oscillator } }),
+                ...(pad.envelope && { envelope: pad.envelope })
+            });
+        }
+        if (shelf) {
+            this.mix.shelf = shelf.volume ?? this.mix.shelf;
+            this.monoShelf.volume.value = this.mix.shelf;
+            this.monoShelf.set({
+                ...(shelf.oscillator && { oscillator: { type: shelf.oscillator } }),
+                ...(shelf.envelope && { envelope: shelf.envelope })
+            });
+            if (shelf.filterQ !== undefined) this.monoShelf.filter.Q.value = shelf.filterQ;
+        }
+        if (grain) {
+            this.mix.grain = grain.volume ?? this.mix.grain;
+            this.grainSynth.volume.value = this.mix.grain;
+            this.grainSynth.set({
+                ...(grain.pitchDecay !== undefined && { pitchDecay: grain.pitchDecay }),
+                ...(grain.octaves !== undefined && { octaves: grain.octaves }),
+                ...(grain.envelope && { envelope: grain.envelope })
+            });
+        }
+        if (lead) {
+            this.mix.lead = lead.volume ?? this.mix.lead;
+            this.leadVoices.forEach(({ synth }) => {
+                if (lead.envelope) synth.set({ envelope: lead.envelope });
+                if (lead.filterQ !== undefined) synth.filter.Q.value = lead.filterQ;
+            });
+            if (lead.portamento !== undefined) this.setLeadOptions({ portamento: lead.portamento });
+        }
+        if (superSaw) {
+            this.mix.superSaw = superSaw.volume ?? this.mix.superSaw;
+            if (superSaw.oscillator && superSaw.oscillator !== this.superSawOsc.type) {
+                this.superSawOsc.type = superSaw.oscillator;
+            }
+            if (superSaw.count !== undefined && superSaw.count !== this.superSawOsc.count) {
+                this.superSawOsc.count = superSaw.count;
             }
         }
 
+        // Reverb decay regenerates the impulse response; skip when unchanged
+        if (fx.reverbDecay !== undefined && fx.reverbDecay !== this.reverb.decay) this.reverb.decay = fx.reverbDecay;
+        if (fx.reverbWet !== undefined) this.reverb.wet.value = fx.reverbWet;
+        if (fx.delayTime !== undefined) this.delay.delayTime.value = fx.delayTime;
+        if (fx.delayFeedback !== undefined) this.delay.feedback.value = fx.delayFeedback;
+        if (fx.send !== undefined) this.fxLevel = fx.send;
+    }
+
+    /* =========================
+     * Modulation matrix destinations (see Modulation.js)
+     * ========================= */
+    registerModulation() {
+        const m = this.modulation;
+        const { params } = this.signals;
+
+        // Drag pressure: force only counts while pressed
+        m.addSource('dragDynamic', () => params.dragForce * params.dragActive);
+
+        m.addDestination('pad.volume', {
+            group: 'audio',
+            base: () => this.mix.pad,
+            range: [-60, 6],
+            apply: (db) => this.pad.volume.rampTo(db, 0.1)
+        });
+        m.addDestination('shelf.cutoff', {
+            group: 'audio',
+            base: 400,
+            range: [40, 16000],
+            apply: (hz) => this.monoShelf.filter.frequency.rampTo(hz, 0.1)
+        });
+        m.addDestination('superSaw.cutoff', {
+            group: 'audio',
+            base: 350,
+            range: [40, 16000],
+            apply: (hz) => this.superSawFilter.frequency.rampTo(hz, 0.2)
+        });
+        m.addDestination('superSaw.q', {
+            group: 'audio',
+            base: 0.6,
+            range: [0.1, 20],
+            apply: (q) => { this.superSawFilter.Q.value = q; }
+        });
+        m.addDestination('superSaw.spread', {
+            group: 'audio',
+            base: 14,
+            range: [0, 100],
+            apply: (cents) => { this.superSawOsc.spread = cents; }
+        });
+        m.addDestination('fx.send', {
+            group: 'audio',
+            base: () => this.fxLevel,
+            range: [0, 1],
+            apply: (gain) => this.fxSend.gain.rampTo(gain, 0.1)
+        });
+    }
+
+    update() {
+        if (!this.initialized) return;
+        
+        const sharpness = this.signals.params.sharpness;
+        const dragActive = this.signals.params.dragActive;
+        const dragForce = this.signals.params.dragForce;
+
+        // Pad volume, shelf cutoff and super-saw timbre are driven by the modulation matrix
+
+        // Lead Synth (Drag) logic
+        this.updateLead();
+
         // Super-saw mass (continuous oscillator, drag-modulated gain/timbre)
-        const chord = this.chords[this.currentChordIndex];
+        const chord = this.harmony.notes;
         const baseNote = chord[1] ?? chord[0];
         const dynamic = dragForce * dragActive;
         const note = Tone.Frequency(baseNote).transpose(-2 + dynamic * 5).toFrequency();
-        const cutoffTarget = 350 + dynamic * 1800 + sharpness * 2200;
         const distAmount = 0.05 + sharpness * 0.45;
-        const spread = 14 + dynamic * 35;
 
-        this.superSawFilter.Q.value = 0.6 + sharpness * 6;
-        this.superSawFilter.frequency.rampTo(cutoffTarget, 0.2);
-        this.superSawOsc.spread = spread;
         this.superSawDist.wet.rampTo(0.08 + Math.min(0.4, sharpness * 0.6) * dragActive, 0.2);
         this.superSawDist.distortion = distAmount;
-        const targetDb = -40 + dragActive * (20 + dynamic * 10);
+        const targetDb = this.layers.superSaw ? this.mix.superSaw + dragActive * (20 + dynamic * 10) : -100;
         this.superSawAmp.gain.rampTo(Tone.dbToGain(targetDb), 0.2);
         this.superSawOsc.frequency.rampTo(note, 0.1);
+
+        // Ring spin voice: pitch and brightness rise with spin speed (ringSpin is registered by Picker)
+        const spin = this.signals.params.ringSpin ?? 0;
+        this.spinOsc.frequency.rampTo(Tone.Frequency(chord[0]).transpose(12 + spin * 12).toFrequency(), 0.1);
+        this.spinFilter.frequency.rampTo(600 + spin * 4000, 0.1);
+        this.spinAmp.gain.rampTo(this.layers.spin && spin > 0.01 ? Tone.dbToGain(this.mix.spin + spin * 14) : 0, 0.15);
     }
 }
 
@@ -0,0 +1,59 @@
+/**
+ * Bounce.js
+ * Renders a scripted or recorded performance to audio faster than real time.
+ * A private AudioEngine is built inside a Tone.Offline context and driven by
+ * a fixed-step Simulation on the transport clock instead of requestAnimationFrame.
+ * Runs in a browser; scripts/bounce.mjs drives it from the command line.
+ */
+
+import * as Tone from 'tone';
+import { Simulation } from '../core/Simulation.js';
+import { Random, random } from '../core/Random.js';
+import { modulation as liveModulation } from '../core/Modulation.js';
+import { AudioEngine } from './AudioEngine.js';
+import { encodeWAV } from './wav.js';
+
+const RELEASE_TAIL = 8; // seconds of reverb/pad release after the take ends
+
+/**
+ * @param {object} options
+ * @param {object} [options.take]      Take in Recorder format (recorded or hand-written)
+ * @param {number} [options.duration]  Seconds to render; defaults to take length + tail
+ * @param {number} [options.seed]      Random seed for generative decisions
+ * @param {number} [options.sampleRate]
+ * @param {number} [options.frameRate] Simulated control rate for Signals/engine updates
+ * @param {object} [options.modulation] Modulation matrix state; defaults to the live routes
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function bounce({
+    take = null,
+    duration = take ? take.duration + RELEASE_TAIL : 30,
+    seed = random.seed,
+    sampleRate = 44100,
+    frameRate = 60,
+    modulation = liveModulation.serialize()
+} = {}) {
+    const rendered = await Tone.Offline(async (context) => {
+        const sim = new Simulation({ take, modulation, dt: 1 / frameRate });
+
+        const engine = new AudioEngine({
+            source: sim.signals,
+            rng: new Random(seed).stream('audio'),
+            modulation: sim.matrix
+        });
+        engine.setup();
+        await engine.reverb.ready;
+
+        // Control-rate step: replay input, smooth signals, modulate audio
+        context.transport.scheduleRepeat(() => {
+            sim.step();
+            engine.update();
+        }, 1 / frameRate, 0);
+    }, duration, 2, sampleRate);
+
+    return rendered.get();
+}
+
+export async function bounceToWAV(options) {
+    return encodeWAV(await bounce(options));
+}
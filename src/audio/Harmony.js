@@ -0,0 +1,227 @@
+/**
+ * Harmony.js
+ * Data-driven harmonic state: key, mode, chord progression, voicing and
+ * weighted chord transitions. Every melodic layer derives its notes from here.
+ */
+
+import { PROGRESSIONS } from './progressions.js';
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+export const MODES = {
+    ionian: [0, 2, 4, 5, 7, 9, 11],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    aeolian: [0, 2, 3, 5, 7, 8, 10],
+    locrian: [0, 1, 3, 5, 6, 8, 10],
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10]
+};
+
+// Chord qualities as semitone intervals above the root
+const QUALITIES = {
+    '': [0, 4, 7],
+    m: [0, 3, 7],
+    dim: [0, 3, 6],
+    aug: [0, 4, 8],
+    sus2: [0, 2, 7],
+    sus4: [0, 5, 7],
+    add9: [0, 4, 7, 14],
+    madd9: [0, 3, 7, 14],
+    6: [0, 4, 7, 9],
+    m6: [0, 3, 7, 9],
+    7: [0, 4, 7, 10],
+    '7sus4': [0, 5, 7, 10],
+    maj7: [0, 4, 7, 11],
+    m7: [0, 3, 7, 10],
+    m7b5: [0, 3, 6, 10],
+    maj9: [0, 4, 7, 11, 14],
+    maj7add9: [0, 4, 7, 11, 14],
+    'maj7#11': [0, 4, 7, 11, 18],
+    m9: [0, 3, 7, 10, 14],
+    m11: [0, 3, 7, 10, 14, 17],
+    m7add11: [0, 3, 7, 10, 17]
+};
+
+const DEFAULT_VOICING = { bassOctave: 2, spacing: 6 };
+
+/* =========================
+ * Note helpers
+ * ========================= */
+export function parsePitchClass(name) {
+    const match = /^([A-G])(#|b)?$/.exec(name);
+    if (!match) throw new Error(`Invalid pitch class "${name}"`);
+    const offset = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+    return (PITCH_CLASSES[match[1]] + offset + 12) % 12;
+}
+
+export function midiToNote(midi, preferSharps = false) {
+    const names = preferSharps ? SHARP_NAMES : FLAT_NAMES;
+    return `${names[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+export function parseChordSymbol(symbol) {
+    const match = /^([A-G](?:#|b)?)(.*)$/.exec(symbol.replace(/\s+/g, ''));
+    if (!match) throw new Error(`Invalid chord symbol "${symbol}"`);
+
+    const quality = match[2].replace(/^M(?=7|9)/, 'maj');
+    const intervals = QUALITIES[quality];
+    if (!intervals) throw new Error(`Unknown chord quality "${match[2]}" in "${symbol}"`);
+
+    return { symbol, root: parsePitchClass(match[1]), intervals };
+}
+
+/**
+ * Root in the bass, every other chord tone at its lowest octave that sits
+ * at least `spacing` semitones above the bass.
+ */
+export function voiceChord(chord, { bassOctave, spacing } = DEFAULT_VOICING) {
+    const bass = (bassOctave + 1) * 12 + chord.root;
+    const upper = new Set();
+    chord.intervals.forEach((interval) => {
+        const pc = (chord.root + interval) % 12;
+        if (pc === chord.root) return;
+        let midi = bass + ((pc - chord.root + 12) % 12);
+        while (midi < bass + spacing) midi += 12;
+        upper.add(midi);
+    });
+    return [bass, ...[...upper].sort((a, b) => a - b)];
+}
+
+/**
+ * Re-voices `chord` so each voice moves as little as possible from `from`
+ * (a previous voicing in MIDI numbers), keeping the root in the bass.
+ */
+export function voiceLead(from, chord, { spacing } = DEFAULT_VOICING) {
+    const nearest = (pc, target) => {
+        const base = target - ((target - pc) % 12 + 12) % 12;
+        return target - base > 6 ? base + 12 : base;
+    };
+
+    const bass = nearest(chord.root, from[0]);
+    const previousUpper = from.slice(1);
+    const upper = new Set();
+    chord.intervals.forEach((interval) => {
+        const pc = (chord.root + interval) % 12;
+        if (pc === chord.root) return;
+        const closest = previousUpper.reduce(
+            (best, note) => {
+                const candidate = nearest(pc, note);
+                return Math.abs(candidate - note) < best.distance
+                    ? { midi: candidate, distance: Math.abs(candidate - note) }
+                    : best;
+            },
+            { midi: nearest(pc, bass + 12), distance: Infinity }
+        );
+        let midi = closest.midi;
+        while (midi < bass + spacing) midi += 12;
+        upper.add(midi);
+    });
+    return [bass, ...[...upper].sort((a, b) => a - b)];
+}
+
+/* =========================
+ * Harmony state
+ * ========================= */
+export class Harmony {
+    constructor(progression = PROGRESSIONS.default) {
+        this.setProgression(progression);
+    }
+
+    /**
+     * @param {object} progression
+     * @param {string} progression.name
+     * @param {string} progression.key          Tonic pitch class, e.g. 'Db'
+     * @param {string} progression.mode         One of MODES
+     * @param {string[]} progression.chords     Chord symbols, e.g. 'Dbmaj7add9'
+     * @param {object} [progression.voicing]    { bassOctave, spacing }
+     * @param {number[][]} [progression.transitions] Markov weights, row = from, column = to
+     * @param {object} [options]
+     * @param {boolean} [options.voiceLead]     Re-voice the first chord from the sounding one
+     */
+    setProgression(progression, { voiceLead: lead = false } = {}) {
+        const chords = progression.chords.map(parseChordSymbol);
+        const mode = MODES[progression.mode];
+        if (!mode) throw new Error(`Unknown mode "${progression.mode}"`);
+        if (chords.length === 0) throw new Error('Progression has no chords');
+
+        const transitions = progression.transitions;
+        if (transitions && (transitions.length !== chords.length ||
+            transitions.some((row) => row.length !== chords.length))) {
+            throw new Error('Transition table must be chords.length x chords.length');
+        }
+
+        const previous = this.voicing;
+
+        this.progression = progression;
+        this.key = parsePitchClass(progression.key);
+        this.mode = mode;
+        this.preferSharps = progression.key.includes('#');
+        this.voicingRule = { ...DEFAULT_VOICING, ...progression.voicing };
+        this.chords = chords;
+        this.transitions = transitions ?? null;
+        this.index = 0;
+
+        this.voicing = lead && previous
+            ? voiceLead(previous, chords[0], this.voicingRule)
+            : voiceChord(chords[0], this.voicingRule);
+    }
+
+    /* Moves to the next chord (weighted by the transition table) */
+    advance(rng) {
+        if (this.transitions) {
+            const row = this.transitions[this.index];
+            const total = row.reduce((sum, w) => sum + w, 0);
+            let pick = rng.random() * total;
+            let next = row.length - 1;
+            for (let i = 0; i < row.length; i++) {
+                pick -= row[i];
+                if (pick < 0) { next = i; break; }
+            }
+            this.index = next;
+        } else {
+            this.index = (this.index + 1) % this.chords.length;
+        }
+
+        this.voicing = voiceChord(this.chords[this.index], this.voicingRule);
+        return this.current;
+    }
+
+    /* Jumps to a chord of the progression (wraps around) */
+    select(index) {
+        this.index = ((index % this.chords.length) + this.chords.length) % this.chords.length;
+        this.voicing = voiceChord(this.chords[this.index], this.voicingRule);
+        return this.current;
+    }
+
+    get current() {
+        return this.chords[this.index];
+    }
+
+    get symbol() {
+        return this.current.symbol;
+    }
+
+    /* Current voicing as note names (pad layer) */
+    get notes() {
+        return this.voicing.map((m) => midiToNote(m, this.preferSharps));
+    }
+
+    /* Lower voices (mono shelf layer) */
+    get lowNotes() {
+        return this.notes.slice(0, 3);
+    }
+
+    /* Scale degrees of the key/mode between two MIDI notes, inclusive */
+    scale(low, high) {
+        const out = [];
+        for (let m = low; m <= high; m++) {
+            if (this.mode.includes((m - this.key + 12) % 12)) out.push(m);
+        }
+        return out;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * MasterAnalysis.js
+ * Analysis tap on the AudioEngine output: FFT bands of the master bus,
+ * per-layer envelopes and transient detection. Produces one frame of
+ * normalized (0..1) values per animation frame for the renderer.
+ */
+
+import * as Tone from 'tone';
+import { OnsetDetector } from './analysis.js';
+import { decayFactor } from '../core/Signals.js';
+import { clock } from '../core/Clock.js';
+
+const FFT_SIZE = 512;
+const BANDS = {
+    low: [20, 250],
+    mid: [250, 2000],
+    high: [2000, 12000]
+};
+const FLOOR_DB = -90;
+const RANGE_DB = 70; // FLOOR_DB .. FLOOR_DB + RANGE_DB maps to 0..1
+const TRANSIENT_HALF_LIFE = 0.07; // s
+const MAX_DT = 0.25;              // s; longer gaps (background tab) are clamped
+
+export const SILENT_FRAME = Object.freeze({
+    level: 0,
+    bands: { low: 0, mid: 0, high: 0 },
+    layers: { pad: 0, shelf: 0, grain: 0, lead: 0, superSaw: 0 },
+    transient: false,
+    transientEnvelope: 0
+});
+
+export class MasterAnalysis {
+    constructor(engine) {
+        this.engine = engine;
+        this.connected = false;
+        this.onsets = new OnsetDetector({ sensitivity: 1.8, minInterval: 5 });
+        this.frame = structuredClone(SILENT_FRAME);
+        this.lastTime = null;
+    }
+
+    /* Called from AudioEngine.setup() once the layers exist */
+    connect() {
+        const e = this.engine;
+
+        this.fft = new Tone.FFT(FFT_SIZE);
+        this.masterMeter = new Tone.Meter({ smoothing: 0.8, normalRange: true });
+        e.master.connect(this.fft);
+        e.master.connect(this.masterMeter);
+
+        // Bin ranges for each band
+        this.bandBins = {};
+        for (const [name, [lo, hi]] of Object.entries(BANDS)) {
+            const bins = [];
+            for (let i = 0; i < FFT_SIZE; i++) {
+                const hz = this.fft.getFrequencyOfIndex(i);
+                if (hz >= lo && hz < hi) bins.push(i);
+            }
+            this.bandBins[name] = bins;
+        }
+
+        // Per-layer envelope followers
+        const sources = {
+            pad: e.pad,
+            shelf: e.monoShelf,
+            grain: e.grainSynth,
+            lead: e.leadVibrato,
+            superSaw: e.superSawAmp
+        };
+        this.layerMeters = {};
+        for (const [name, node] of Object.entries(sources)) {
+            const meter = new Tone.Meter({ smoothing: 0.7, normalRange: true });
+            node.connect(meter);
+            this.layerMeters[name] = meter;
+        }
+
+        this.magnitudes = new Float32Array(FFT_SIZE);
+        this.connected = true;
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    /* @param {number} [now] ms, paces the transient envelope */
+    update(now = clock.now()) {
+        if (!this.connected) return SILENT_FRAME;
+        const dt = this.lastTime === null ? 0 : Math.min(MAX_DT, Math.max(0, (now - this.lastTime) / 1000));
+        this.lastTime = now;
+
+        const db = this.fft.getValue();
+        const frame = this.frame;
+
+        for (let i = 0; i < db.length; i++) this.magnitudes[i] = Tone.dbToGain(db[i]);
+
+        for (const name in this.bandBins) {
+            const bins = this.bandBins[name];
+            let sum = 0;
+            for (const i of bins) sum += db[i];
+            const mean = bins.length ? sum / bins.length : FLOOR_DB;
+            frame.bands[name] = Math.min(1, Math.max(0, (mean - FLOOR_DB) / RANGE_DB));
+        }
+
+        // Meters in normalRange report linear gain; boost so typical levels span 0..1
+        frame.level = Math.min(1, meterValue(this.masterMeter) * 2);
+        for (const name in this.layerMeters) {
+            frame.layers[name] = Math.min(1, meterValue(this.layerMeters[name]) * 3);
+        }
+
+        const { onset } = this.onsets.process(this.magnitudes.slice());
+        frame.transient = onset;
+        frame.transientEnvelope = onset ? 1 : frame.transientEnvelope * decayFactor(TRANSIENT_HALF_LIFE, dt);
+
+        return frame;
+    }
+}
+
+function meterValue(meter) {
+    const value = meter.getValue();
+    return Array.isArray(value) ? Math.max(...value) : value;
+}
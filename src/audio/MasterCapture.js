@@ -0,0 +1,223 @@
+/**
+ * MasterCapture.js
+ * Records what the audience hears by tapping the AudioEngine master bus.
+ * Produces an uncompressed WAV (PCM via AudioWorklet) and a compressed file
+ * (MediaRecorder), keeping the reverb tail running after stop is requested.
+ * The music itself keeps playing, so the tail lasts as long as the current
+ * reverb decay and both files fade out over it: the WAV from the frame the
+ * worklet was at when stop was requested, the compressed file through a gain
+ * ramp on its tap.
+ */
+
+import * as Tone from 'tone';
+import { encodeWAV } from './wav.js';
+
+const TAIL_SILENCE_DB = -70;  // ends the tail early once the master is silent (e.g. all layers off)
+const MAX_TAIL = 12;          // seconds
+const CHUNK_FRAMES = 4096;
+
+const PROCESSOR_NAME = 'aura-pcm-capture';
+const PROCESSOR_SOURCE = `
+class PcmCapture extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.active = true;
+        this.pending = [];
+        this.frames = 0;
+        this.total = 0; // frames captured since start
+        this.port.onmessage = (e) => {
+            if (e.data === 'mark') {
+                this.port.postMessage({ reply: 'mark', frame: this.total });
+            } else if (e.data === 'flush') {
+                this.flush();
+                this.active = false;
+                this.port.postMessage({ reply: 'flush' });
+            }
+        };
+    }
+
+    flush() {
+        if (this.frames === 0) return;
+        const channels = this.pending[0].length;
+        const out = [];
+        for (let c = 0; c < channels; c++) {
+            const data = new Float32Array(this.frames);
+            let offset = 0;
+            for (const block of this.pending) {
+                data.set(block[c], offset);
+                offset += block[c].length;
+            }
+            out.push(data);
+        }
+        this.port.postMessage(out, out.map((d) => d.buffer));
+        this.pending = [];
+        this.frames = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (input.length > 0) {
+            this.pending.push(input.map((ch) => ch.slice()));
+            this.frames += input[0].length;
+            this.total += input[0].length;
+            if (this.frames >= ${CHUNK_FRAMES}) this.flush();
+        }
+        return this.active;
+    }
+}
+registerProcessor('${PROCESSOR_NAME}', PcmCapture);
+`;
+
+export class MasterCapture {
+    constructor(engine) {
+        this.engine = engine;
+        this.state = 'idle'; // idle | starting | recording | tail
+        this.workletLoaded = false;
+    }
+
+    async start() {
+        if (this.state !== 'idle' || !this.engine.initialized) return;
+        this.state = 'starting';
+        try {
+            await this.connect();
+        } catch (err) {
+            this.disconnect();
+            this.state = 'idle';
+            throw err;
+        }
+        this.startTime = this.engine.context.now();
+        this.state = 'recording';
+    }
+
+    async connect() {
+        const context = this.engine.context;
+
+        if (!this.workletLoaded) {
+            const url = URL.createObjectURL(
+                new Blob([PROCESSOR_SOURCE], { type: 'application/javascript' })
+            );
+            try {
+                await context.addAudioWorkletModule(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+            this.workletLoaded = true;
+        }
+
+        /* --- PCM tap --- */
+        this.chunks = [];
+        this.replies = new Map(); // worklet command -> resolve
+        this.tailStart = null;    // frame where stop was requested (worklet count)
+        this.pcmNode = context.createAudioWorkletNode(PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        this.pcmNode.port.onmessage = (e) => {
+            if (e.data.reply) this.replies.get(e.data.reply)?.(e.data);
+            else this.chunks.push(e.data);
+        };
+        this.engine.master.connect(this.pcmNode);
+
+        /* --- compressed tap (through a gain that fades the tail) --- */
+        this.mediaRecorder = Tone.Recorder.supported ? new Tone.Recorder() : null;
+        if (this.mediaRecorder) {
+            this.compressedGain = new Tone.Gain(1);
+            this.engine.master.connect(this.compressedGain);
+            this.compressedGain.connect(this.mediaRecorder);
+            await this.mediaRecorder.start();
+        }
+
+        /* --- level for tail detection --- */
+        this.meter = new Tone.Meter({ smoothing: 0.5 });
+        this.engine.master.connect(this.meter);
+    }
+
+    disconnect() {
+        if (this.pcmNode) this.engine.master.disconnect(this.pcmNode);
+        this.meter?.dispose();
+        this.mediaRecorder?.dispose();
+        this.compressedGain?.dispose();
+        this.pcmNode = null;
+        this.meter = null;
+        this.mediaRecorder = null;
+        this.compressedGain = null;
+    }
+
+    /* Posts a command to the worklet and resolves with its reply */
+    request(command) {
+        return new Promise((resolve) => {
+            this.replies.set(command, resolve);
+            this.pcmNode.port.postMessage(command);
+        });
+    }
+
+    /**
+     * Stops capture after the reverb tail (current decay, at most MAX_TAIL).
+     * @returns {Promise<{ wav: Blob, compressed: Blob|null }>}
+     */
+    async stop() {
+        if (this.state !== 'recording') return null;
+        this.state = 'tail';
+
+        try {
+            const tail = Math.min(MAX_TAIL, this.engine.reverb.decay);
+            this.compressedGain?.gain.linearRampTo(0, tail);
+            ({ frame: this.tailStart } = await this.request('mark'));
+            await this.waitForTail(tail);
+            await this.request('flush');
+
+            const compressed = this.mediaRecorder ? await this.mediaRecorder.stop() : null;
+            return { wav: encodeWAV(this.toAudioBuffer()), compressed };
+        } finally {
+            this.disconnect();
+            this.state = 'idle';
+        }
+    }
+
+    /* Resolves after `seconds`, or earlier if the master falls silent */
+    waitForTail(seconds) {
+        const deadline = performance.now() + seconds * 1000;
+        return new Promise((resolve) => {
+            const poll = () => {
+                const level = this.meter.getValue();
+                const db = Array.isArray(level) ? Math.max(...level) : level;
+                if (db < TAIL_SILENCE_DB || performance.now() > deadline) resolve();
+                else setTimeout(poll, 100);
+            };
+            poll();
+        });
+    }
+
+    toAudioBuffer() {
+        const channels = this.chunks[0]?.length ?? 2;
+        const frames = this.chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+        const data = [];
+        for (let c = 0; c < channels; c++) {
+            const channel = new Float32Array(frames);
+            let offset = 0;
+            for (const chunk of this.chunks) {
+                channel.set(chunk[c], offset);
+                offset += chunk[c].length;
+            }
+            data.push(channel);
+        }
+        this.chunks = [];
+
+        // Fade out over the tail: the generative music does not stop with the capture
+        const fadeStart = Math.min(this.tailStart ?? frames, frames);
+        const fadeFrames = frames - fadeStart;
+        for (let i = 0; i < fadeFrames; i++) {
+            const gain = 1 - i / fadeFrames;
+            data.forEach((channel) => { channel[fadeStart + i] *= gain; });
+        }
+
+        return {
+            numberOfChannels: channels,
+            sampleRate: this.engine.context.sampleRate,
+            length: frames,
+            getChannelData: (c) => data[c]
+        };
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * MidiExport.js
+ * Logs the notes AudioEngine schedules and writes them out as a
+ * multi-track Standard MIDI File (format 1) for use in a DAW.
+ */
+
+export const TRACKS = ['pad', 'shelf', 'grain', 'lead'];
+
+const PPQ = 480;
+
+export class NoteLog {
+    constructor() {
+        this.recording = false;
+        this.events = [];
+        this.startTime = 0;
+        this.bpm = 120;
+    }
+
+    /**
+     * @param {number} now  Audio context time the log starts at
+     * @param {number} bpm  Transport tempo used for tick conversion
+     */
+    start(now, bpm = 120) {
+        this.events = [];
+        this.startTime = now;
+        this.bpm = bpm;
+        this.held = new Map(); // "track:midi" -> pending note-on
+        this.recording = true;
+    }
+
+    stop(now) {
+        if (!this.recording) return;
+        // Close notes still sounding
+        this.held.forEach((_, id) => {
+            const [track, midi] = id.split(':');
+            this.noteOff(track, Number(midi), now);
+        });
+        this.recording = false;
+    }
+
+    noteOn(track, midi, time, velocity = 0.8) {
+        if (!this.recording) return;
+        const id = `${track}:${midi}`;
+        if (this.held.has(id)) this.noteOff(track, midi, time);
+        this.held.set(id, true);
+        this.events.push({ track, midi, time: time - this.startTime, velocity, on: true });
+    }
+
+    noteOff(track, midi, time) {
+        if (!this.recording) return;
+        const id = `${track}:${midi}`;
+        if (!this.held.delete(id)) return;
+        this.events.push({ track, midi, time: time - this.startTime, velocity: 0, on: false });
+    }
+
+    note(track, midi, time, duration, velocity = 0.8) {
+        this.noteOn(track, midi, time, velocity);
+        this.noteOff(track, midi, time + duration);
+    }
+
+    releaseTrack(track, time) {
+        if (!this.recording) return;
+        [...this.held.keys()]
+            .filter((id) => id.startsWith(`${track}:`))
+            .forEach((id) => this.noteOff(track, Number(id.split(':')[1]), time));
+    }
+
+    toBlob() {
+        return new Blob([encodeMidiFile(this.events, this.bpm)], { type: 'audio/midi' });
+    }
+}
+
+/* =========================
+ * SMF encoding
+ * ========================= */
+function varLength(value) {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+    return bytes;
+}
+
+function chunk(type, data) {
+    const length = data.length;
+    return [
+        ...[...type].map((c) => c.charCodeAt(0)),
+        (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...data
+    ];
+}
+
+function trackName(name) {
+    const bytes = [...name].map((c) => c.charCodeAt(0));
+    return [0x00, 0xff, 0x03, ...varLength(bytes.length), ...bytes];
+}
+
+const END_OF_TRACK = [0x00, 0xff, 0x2f, 0x00];
+
+export function encodeMidiFile(events, bpm = 120) {
+    const toTicks = (seconds) => Math.max(0, Math.round(seconds * (bpm / 60) * PPQ));
+
+    /* --- tempo track --- */
+    const mpqn = Math.round(60000000 / bpm);
+    const tempoTrack = chunk('MTrk', [
+        ...trackName('aura'),
+        0x00, 0xff, 0x51, 0x03, (mpqn >> 16) & 0xff, (mpqn >> 8) & 0xff, mpqn & 0xff,
+        ...END_OF_TRACK
+    ]);
+
+    /* --- one track (and channel) per layer --- */
+    const noteTracks = TRACKS.map((name, channel) => {
+        const trackEvents = events
+            .filter((e) => e.track === name)
+            .map((e) => ({ ...e, tick: toTicks(e.time) }))
+            // offs before ons on the same tick so retriggers don't overlap
+            .sort((a, b) => a.tick - b.tick || Number(a.on) - Number(b.on));
+
+        const data = [...trackName(name)];
+        let lastTick = 0;
+        trackEvents.forEach((e) => {
+            data.push(...varLength(e.tick - lastTick));
+            const velocity = Math.max(1, Math.min(127, Math.round(e.velocity * 127)));
+            data.push(e.on ? 0x90 | channel : 0x80 | channel, e.midi & 0x7f, e.on ? velocity : 0);
+            lastTick = e.tick;
+        });
+        data.push(...END_OF_TRACK);
+        return chunk('MTrk', data);
+    });
+
+    const header = chunk('MThd', [
+        0x00, 0x01,                                   // format 1
+        0x00, TRACKS.length + 1,                      // track count
+        (PPQ >> 8) & 0xff, PPQ & 0xff                 // division
+    ]);
+
+    return Uint8Array.from([...header, ...tempoTrack, ...noteTracks.flat()]);
+}
@@ -0,0 +1,44 @@
+/**
+ * MusicEvents.js
+ * Typed publish/subscribe channel for discrete musical events emitted by
+ * AudioEngine. Listeners run on the animation frame closest to the audio
+ * time the event was scheduled at (Tone.Draw), not when the transport
+ * callback fires ahead of it.
+ */
+
+/**
+ * Event types and their payloads (every payload also carries `time`, the
+ * audio-context time the event sounds at).
+ *  chord        { name, notes, index }
+ *  shelf        { note, midi }
+ *  grain        { note, midi, velocity }
+ *  leadAttack   { voice, midi, velocity }
+ *  leadRelease  { voice, midi }
+ */
+export const MUSIC_EVENTS = ['chord', 'shelf', 'grain', 'leadAttack', 'leadRelease'];
+
+export class MusicEventBus {
+    constructor() {
+        this.listeners = new Map(MUSIC_EVENTS.map((type) => [type, new Set()]));
+        this.draw = null; // Tone.Draw of the engine's context; null = deliver immediately
+    }
+
+    /* @returns {() => void} unsubscribe */
+    on(type, fn) {
+        const set = this.listeners.get(type);
+        if (!set) throw new Error(`Unknown music event "${type}"`);
+        set.add(fn);
+        return () => set.delete(fn);
+    }
+
+    emit(type, payload, time) {
+        const set = this.listeners.get(type);
+        if (!set) throw new Error(`Unknown music event "${type}"`);
+        if (set.size === 0) return;
+
+        const event = { type, time, ...payload };
+        const deliver = () => set.forEach((fn) => fn(event));
+        if (this.draw && time !== undefined) this.draw.schedule(deliver, time);
+        else deliver();
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * analysis.js
+ * Pure-JS audio feature extraction on time-domain frames: RMS level,
+ * magnitude spectrum, spectral centroid, onset (spectral flux) and rough
+ * pitch. Used for live inputs and offline buffers alike.
+ */
+
+/* =========================
+ * FFT (in-place, radix-2)
+ * ========================= */
+export function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        const wr = Math.cos(angle);
+        const wi = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let cr = 1;
+            let ci = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * cr - im[b] * ci;
+                const ti = re[b] * ci + im[b] * cr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+                const next = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = next;
+            }
+        }
+    }
+}
+
+/* Hann-windowed magnitude spectrum, length frame.length / 2 */
+export function magnitudeSpectrum(frame) {
+    const n = frame.length;
+    const re = new Float32Array(n);
+    const im = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        re[i] = frame[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+    }
+    fft(re, im);
+
+    const mags = new Float32Array(n / 2);
+    for (let i = 0; i < n / 2; i++) mags[i] = Math.hypot(re[i], im[i]) / n;
+    return mags;
+}
+
+/* =========================
+ * Features
+ * ========================= */
+export function rms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    return Math.sqrt(sum / frame.length);
+}
+
+/* 0 (silence, -60 dBFS) .. 1 (0 dBFS) */
+export function normalizedLevel(value) {
+    if (value <= 0) return 0;
+    return Math.min(1, Math.max(0, (20 * Math.log10(value) + 60) / 60));
+}
+
+export function spectralCentroid(mags, sampleRate) {
+    const binHz = sampleRate / (mags.length * 2);
+    let weighted = 0;
+    let total = 0;
+    for (let i = 1; i < mags.length; i++) {
+        weighted += i * binHz * mags[i];
+        total += mags[i];
+    }
+    return total > 0 ? weighted / total : 0;
+}
+
+/**
+ * Rough pitch via normalized autocorrelation. Returns Hz, or null when the
+ * frame is too quiet or not periodic enough.
+ */
+export function detectPitch(frame, sampleRate, { minHz = 70, maxHz = 1000, clarity = 0.6 } = {}) {
+    if (rms(frame) < 0.01) return null;
+
+    const minLag = Math.floor(sampleRate / maxHz);
+    const maxLag = Math.min(frame.length - 1, Math.ceil(sampleRate / minHz));
+
+    const correlation = new Float32Array(maxLag + 1);
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let sum = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = 0; i + lag < frame.length; i++) {
+            sum += frame[i] * frame[i + lag];
+            energyA += frame[i] * frame[i];
+            energyB += frame[i + lag] * frame[i + lag];
+        }
+        correlation[lag] = sum / Math.sqrt(energyA * energyB || 1);
+        best = Math.max(best, correlation[lag]);
+    }
+
+    // First peak close to the best one avoids octave-down errors
+    let bestLag = -1;
+    for (let lag = minLag + 1; lag < maxLag; lag++) {
+        const r = correlation[lag];
+        if (r >= best * 0.9 && r >= correlation[lag - 1] && r >= correlation[lag + 1]) {
+            bestLag = lag;
+            best = r;
+            break;
+        }
+    }
+
+    return bestLag > 0 && best >= clarity ? sampleRate / bestLag : null;
+}
+
+/* Spectral-flux onset detector with an adaptive (running mean) threshold */
+export class OnsetDetector {
+    constructor({ sensitivity = 1.6, history = 20, minInterval = 4 } = {}) {
+        this.sensitivity = sensitivity;
+        this.history = history;
+        this.minInterval = minInterval; // frames between onsets
+        this.previous = null;
+        this.fluxes = [];
+        this.sinceLast = Infinity;
+    }
+
+    process(mags) {
+        let flux = 0;
+        if (this.previous) {
+            for (let i = 0; i < mags.length; i++) {
+                const diff = mags[i] - this.previous[i];
+                if (diff > 0) flux += diff;
+            }
+        }
+        this.previous = mags;
+
+        const mean = this.fluxes.length
+            ? this.fluxes.reduce((sum, f) => sum + f, 0) / this.fluxes.length
+            : Infinity;
+        this.fluxes.push(flux);
+        if (this.fluxes.length > this.history) this.fluxes.shift();
+
+        this.sinceLast++;
+        const onset = flux > mean * this.sensitivity && flux > 1e-4 && this.sinceLast >= this.minInterval;
+        if (onset) this.sinceLast = 0;
+        return { flux, onset };
+    }
+}
+
+/* Stateful per-frame feature extraction */
+export class FeatureExtractor {
+    /**
+     * @param {number} sampleRate
+     * @param {object} [options]
+     * @param {number} [options.pitchEvery=1] run the (autocorrelation) pitch search every N frames
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.onsets = new OnsetDetector(options.onset);
+        this.pitchOptions = options.pitch;
+        this.pitchEvery = options.pitchEvery ?? 1;
+        this.frames = 0;
+        this.pitch = null; // last detected, reused between searches
+    }
+
+    process(frame) {
+        const mags = magnitudeSpectrum(frame);
+        const level = rms(frame);
+        const { flux, onset } = this.onsets.process(mags);
+        if (this.frames++ % this.pitchEvery === 0) this.pitch = detectPitch(frame, this.sampleRate, this.pitchOptions);
+        return {
+            rms: level,
+            level: normalizedLevel(level),
+            centroid: spectralCentroid(mags, this.sampleRate),
+            pitch: this.pitch,
+            flux,
+            onset,
+            spectrum: mags
+        };
+    }
+}
+
+/**
+ * Runs the extractor over a whole (mono-mixed) AudioBuffer.
+ * @returns {Array<{ time: number } & ReturnType<FeatureExtractor['process']>>}
+ */
+export function analyzeBuffer(audioBuffer, { frameSize = 2048, hop = 1024 } = {}) {
+    const channels = audioBuffer.numberOfChannels;
+    const mono = new Float32Array(audioBuffer.length);
+    for (let c = 0; c < channels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels;
+    }
+
+    const extractor = new FeatureExtractor(audioBuffer.sampleRate);
+    const frames = [];
+    for (let start = 0; start + frameSize <= mono.length; start += hop) {
+        const features = extractor.process(mono.subarray(start, start + frameSize));
+        delete features.spectrum;
+        frames.push({ time: start / audioBuffer.sampleRate, ...features });
+    }
+    return frames;
+}
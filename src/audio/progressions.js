@@ -0,0 +1,60 @@
+/**
+ * progressions.js
+ * Built-in progression definitions for Harmony.js.
+ */
+
+export const PROGRESSIONS = {
+    // The original bed: DbM7 add9, Fm7 add11, DbM7 add9, Fm7 add11
+    default: {
+        name: 'default',
+        key: 'Db',
+        mode: 'ionian',
+        chords: ['Dbmaj7add9', 'Fm7add11', 'Dbmaj7add9', 'Fm7add11'],
+        voicing: { bassOctave: 2, spacing: 6 }
+    },
+
+    dorianDrift: {
+        name: 'dorianDrift',
+        key: 'D',
+        mode: 'dorian',
+        chords: ['Dm9', 'G7sus4', 'Fmaj7', 'Am7', 'Em7'],
+        voicing: { bassOctave: 2, spacing: 7 },
+        transitions: [
+            [0, 4, 3, 2, 1],
+            [5, 0, 2, 1, 2],
+            [2, 3, 0, 4, 1],
+            [4, 1, 2, 0, 3],
+            [3, 2, 2, 3, 0]
+        ]
+    },
+
+    lydianHaze: {
+        name: 'lydianHaze',
+        key: 'F',
+        mode: 'lydian',
+        chords: ['Fmaj7#11', 'Gadd9', 'Em7', 'Am7', 'Csus2'],
+        voicing: { bassOctave: 2, spacing: 5 },
+        transitions: [
+            [1, 4, 2, 2, 1],
+            [4, 0, 2, 1, 2],
+            [3, 1, 0, 4, 2],
+            [4, 2, 1, 0, 3],
+            [5, 2, 1, 2, 0]
+        ]
+    },
+
+    aeolianDepth: {
+        name: 'aeolianDepth',
+        key: 'C',
+        mode: 'aeolian',
+        chords: ['Cm9', 'Abmaj7', 'Ebmaj7', 'Bbsus2', 'Fm7'],
+        voicing: { bassOctave: 1, spacing: 7 },
+        transitions: [
+            [0, 4, 2, 2, 3],
+            [4, 0, 3, 2, 1],
+            [2, 2, 0, 4, 2],
+            [4, 2, 1, 0, 2],
+            [3, 3, 2, 2, 0]
+        ]
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Clock.js
+ * Injectable time sources (milliseconds). The real-time clock backs the
+ * live app; a ManualClock is advanced explicitly for headless simulation
+ * and offline rendering.
+ */
+
+export class Clock {
+    now() {
+        return performance.now();
+    }
+}
+
+export class ManualClock {
+    constructor(start = 0) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    /* @param {number} ms */
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+
+    set(ms) {
+        this.time = ms;
+    }
+}
+
+/* =========================
+ * Shared real-time clock
+ * ========================= */
+export const clock = new Clock();
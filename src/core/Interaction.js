@@ -1,60 +1,110 @@
 /**
  * Interaction.js
  * Translates discrete DOM events into continuous signal perturbations.
+ * Every active pointer (mouse, pen, each finger) is tracked independently;
+ * multi-touch aggregates (centroid, spread, pinch, rotation) are derived here.
+ * With a picker (visuals/Picker.js), pointers that land on a scene object
+ * are handed to it instead; empty-space gestures behave as before.
  */
 
 import { signals } from './Signals.js';
 
 console.log('[Interaction] FILE LOADED');
 
+/* Multi-touch aggregates (see updateAggregates) */
+export const TOUCH_SIGNALS = {
+    touches: { range: [0, 10], smoothing: 0 },
+    spread: { smoothing: 0.16 },
+    pinch: { range: [-1.5, 1.5], smoothing: 0.16 },
+    rotation: { range: [-1, 1], smoothing: 0.16 }
+};
+
 export class Interaction {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {import('../visuals/Picker.js').Picker|null} [options.picker]
+     */
+    constructor({ picker = null } = {}) {
+        signals.registerAll(TOUCH_SIGNALS);
+        this.picker = picker;
+        this.enabled = true; // false while live input is muted (e.g. take playback)
         this.isMouseDown = false;
-        this.lastPosition = { x: 0.5, y: 0.5 };
-        this.lastVector = { x: 0, y: 0 };
-        this.lastTime = performance.now();
-        
+
+        // pointerId -> { x, y, lastVector, lastTime, down, drag, grabbed }
+        this.pointers = new Map();
+
+        // Reference pair for pinch/rotation, captured when a second pointer lands
+        this.gestureStart = null;
+
         this.init();
     }
 
     init() {
         console.log('[Interaction] INIT');
-        window.addEventListener('pointerdown', (e) => {
-            console.log('[RAW POINTERDOWN]', e.target);
-            this.handleDown(e);
-        });
         window.addEventListener('pointermove', (e) => this.handleMove(e));
         window.addEventListener('pointerdown', (e) => this.handleDown(e));
         window.addEventListener('pointerup', (e) => this.handleUp(e));
         window.addEventListener('pointercancel', (e) => this.handleUp(e));
-        
+
         // Prevent default touch actions to avoid scrolling during interaction
         window.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
     }
 
+    getPointer(e) {
+        const id = e.pointerId ?? 0;
+        if (!this.pointers.has(id)) {
+            this.pointers.set(id, {
+                x: e.clientX / window.innerWidth,
+                y: e.clientY / window.innerHeight,
+                lastVector: { x: 0, y: 0 },
+                lastTime: performance.now(),
+                down: false,
+                drag: 0,
+                grabbed: false // held by the picker
+            });
+        }
+        return [id, this.pointers.get(id)];
+    }
+
     handleMove(e) {
+        if (!this.enabled) return;
+        const [id, pointer] = this.getPointer(e);
         const x = e.clientX / window.innerWidth;
         const y = e.clientY / window.innerHeight;
-        
-        signals.setCursor(x, y);
+
+        if (pointer.grabbed) {
+            if (this.picker.drag(id, x, y)) {
+                pointer.x = x;
+                pointer.y = y;
+                pointer.lastTime = performance.now();
+                return;
+            }
+            // The picker let go (a core press turned into a drag): continue as a screen-space drag
+            pointer.grabbed = false;
+            this.press(id, pointer);
+        }
+        if (!pointer.down) this.picker?.hover(x, y);
+
+        // A lone pointer steers the cursor directly; several steer their centroid
+        if (this.downCount() < 2) signals.setCursor(x, y);
 
         // Movement increases energy and focus
-        const dx = x - this.lastPosition.x;
-        const dy = y - this.lastPosition.y;
+        const dx = x - pointer.x;
+        const dy = y - pointer.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
 
         const now = performance.now();
-        const dt = Math.max(0.001, (now - this.lastTime) / 1000);
+        const dt = Math.max(0.001, (now - pointer.lastTime) / 1000);
         const speed = dist / dt;
         const maxSpeed = 3;
         const velocity = Math.min(1, speed / maxSpeed);
         signals.perturb('velocity', velocity);
 
-        const magPrev = Math.hypot(this.lastVector.x, this.lastVector.y);
+        const magPrev = Math.hypot(pointer.lastVector.x, pointer.lastVector.y);
         const magCurr = Math.hypot(dx, dy);
         let sharpness = 0;
         if (magPrev > 0.0001 && magCurr > 0.0001) {
-            const dot = (this.lastVector.x * dx + this.lastVector.y * dy) / (magPrev * magCurr);
+            const dot = (pointer.lastVector.x * dx + pointer.lastVector.y * dy) / (magPrev * magCurr);
             const clamped = Math.max(-1, Math.min(1, dot));
             const angle = Math.acos(clamped);
             sharpness = Math.min(1, angle / Math.PI);
@@ -66,42 +116,143 @@ export class Interaction {
         );
         signals.perturb('sharpness', sharpness);
 
-        const dragForce = this.isMouseDown ? Math.min(1, 0.05 + velocity * 0.9 + dist * 10) : 0;
+        const dragForce = pointer.down ? Math.min(1, 0.05 + velocity * 0.9 + dist * 10) : 0;
         signals.perturb('dragForce', dragForce);
-        
+
+        // Each pointer adds its own energy; drag is the sum of all pointers
         signals.perturb('energy', dist * 2);
         signals.perturb('focus', 0.2 + dist * 5);
 
-        if (this.isMouseDown) {
-            signals.perturb('drag', dist * 10);
+        pointer.x = x;
+        pointer.y = y;
+        pointer.lastVector = { x: dx, y: dy };
+        pointer.lastTime = now;
+
+        if (pointer.down) {
+            pointer.drag = dist * 10;
+            signals.perturb('drag', this.totalDrag());
+            signals.setPointer(id, { x, y, down: true, drag: pointer.drag });
         }
-        
-        this.lastPosition = { x, y };
-        this.lastVector = { x: dx, y: dy };
-        this.lastTime = now;
+
+        this.updateAggregates();
     }
 
     handleDown(e) {
+        if (!this.enabled) return;
+        const [id, pointer] = this.getPointer(e);
+        pointer.x = e.clientX / window.innerWidth;
+        pointer.y = e.clientY / window.innerHeight;
+
+        // On a ring or the core: the picker owns this pointer until it lifts (or hands it back)
+        if (this.picker?.grab(id, pointer.x, pointer.y)) {
+            pointer.grabbed = true;
+            return;
+        }
+        this.press(id, pointer);
+    }
+
+    /* Starts a screen-space press */
+    press(id, pointer) {
+        pointer.down = true;
+        pointer.drag = 0;
         this.isMouseDown = true;
+        signals.setPointer(id, { x: pointer.x, y: pointer.y, down: true, drag: 0 });
+
         // High-register activation hint
         signals.perturb('energy', 0.3);
         signals.perturb('focus', 0.8);
         signals.perturb('resonance', 0.6);
+
+        this.updateAggregates();
     }
 
-    handleUp() {
-        this.isMouseDown = false;
+    handleUp(e) {
+        const id = e?.pointerId ?? 0;
+        const pointer = this.pointers.get(id);
+        if (pointer?.down) signals.removePointer(id);
+        if (pointer?.grabbed) {
+            this.picker.release(id, { lifted: e?.type === 'pointerup' });
+            pointer.grabbed = false;
+        }
+
+        // Mice keep hovering after release; touches and pens leave
+        if (pointer && e?.pointerType === 'mouse') {
+            pointer.down = false;
+            pointer.drag = 0;
+        } else {
+            this.pointers.delete(id);
+        }
+
+        this.isMouseDown = this.downCount() > 0;
+        this.updateAggregates();
     }
 
-    handleTouch(e) {
-        if (e.touches.length > 0) {
-            const touch = e.touches[0];
-            this.handleMove({
-                clientX: touch.clientX,
-                clientY: touch.clientY
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.pointers.forEach((pointer, id) => {
+                if (pointer.down) signals.removePointer(id);
             });
-            if (e.type === 'touchstart') this.handleDown();
+            this.picker?.releaseAll();
+            this.pointers.clear();
+            this.isMouseDown = false;
+            this.updateAggregates();
+        }
+    }
+
+    /* =========================
+     * Multi-pointer helpers
+     * ========================= */
+    downPointers() {
+        return [...this.pointers.values()].filter((p) => p.down);
+    }
+
+    downCount() {
+        return this.downPointers().length;
+    }
+
+    totalDrag() {
+        return this.downPointers().reduce((sum, p) => sum + p.drag, 0);
+    }
+
+    /**
+     * touches  number of pressed pointers
+     * spread   mean distance of pressed pointers from their centroid
+     * pinch    distance between the first two pointers relative to when the
+     *          second one landed (0 = unchanged, + = apart, - = together)
+     * rotation twist of the first two pointers since the second landed, / PI
+     */
+    updateAggregates() {
+        const down = this.downPointers();
+        if (down.length !== signals.targets.touches) signals.perturb('touches', down.length);
+
+        if (down.length < 2) {
+            if (this.gestureStart) {
+                this.gestureStart = null;
+                signals.perturb('spread', 0);
+                signals.perturb('pinch', 0);
+                signals.perturb('rotation', 0);
+            }
+            return;
         }
-        e.preventDefault();
+
+        const cx = down.reduce((sum, p) => sum + p.x, 0) / down.length;
+        const cy = down.reduce((sum, p) => sum + p.y, 0) / down.length;
+        signals.setCursor(cx, cy);
+
+        const spread = down.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / down.length;
+        signals.perturb('spread', spread);
+
+        const [a, b] = down;
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        this.gestureStart ??= { distance, angle };
+
+        let twist = angle - this.gestureStart.angle;
+        if (twist > Math.PI) twist -= Math.PI * 2;
+        if (twist < -Math.PI) twist += Math.PI * 2;
+
+        signals.perturb('pinch', distance - this.gestureStart.distance);
+        signals.perturb('rotation', twist / Math.PI);
     }
 }
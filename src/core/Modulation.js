@@ -0,0 +1,267 @@
+/**
+ * Modulation.js
+ * Modulation matrix: routes from signals (or LFOs, audio envelope
+ * followers and derived sources) to parameters exposed by AudioEngine and
+ * Renderer. A destination's value each frame is its base plus the sum of
+ * every route into it; routes are plain data, editable at runtime and
+ * stored in presets.
+ */
+
+import { signals, lerpFactor } from './Signals.js';
+import { clock } from './Clock.js';
+
+/**
+ * @typedef {object} Route
+ * @property {string} source       signal name, "lfo:<name>", "audio:<key>" or a registered source
+ * @property {string} destination  registered destination name, e.g. "pad.volume"
+ * @property {number} [amount=1]   scale in destination units
+ * @property {string} [curve='linear']  see CURVES
+ * @property {number} [offset=0]   added after scaling
+ * @property {number} [smoothing=0] time constant in seconds (0 = immediate)
+ */
+
+export const CURVES = {
+    linear: (x) => x,
+    exp: (x) => Math.sign(x) * x * x,
+    log: (x) => Math.sign(x) * Math.sqrt(Math.abs(x)),
+    scurve: (x) => {
+        const t = Math.min(1, Math.max(0, x));
+        return t * t * (3 - 2 * t);
+    },
+    invert: (x) => 1 - x
+};
+
+/* Unipolar (0..1) LFO shapes over one phase (0..1) */
+export const LFO_SHAPES = {
+    sine: (p) => 0.5 - 0.5 * Math.cos(p * Math.PI * 2),
+    triangle: (p) => 1 - Math.abs(p * 2 - 1),
+    saw: (p) => p,
+    square: (p) => (p < 0.5 ? 1 : 0)
+};
+
+/* The instrument's original hand-tuned mappings */
+export const DEFAULT_MODULATION = {
+    lfos: {
+        slow: { rate: 0.05, shape: 'sine' }
+    },
+    routes: {
+        padEnergy: { source: 'energy', destination: 'pad.volume', amount: 10 },
+        shelfEnergy: { source: 'energy', destination: 'shelf.cutoff', amount: 4000 },
+        sawDrag: { source: 'dragDynamic', destination: 'superSaw.cutoff', amount: 1800 },
+        sawSharpness: { source: 'sharpness', destination: 'superSaw.cutoff', amount: 2200 },
+        sawQ: { source: 'sharpness', destination: 'superSaw.q', amount: 6 },
+        sawSpread: { source: 'dragDynamic', destination: 'superSaw.spread', amount: 35 },
+        keyEnergy: { source: 'energy', destination: 'light.key', amount: 1.5 },
+        spotFocus: { source: 'focus', destination: 'light.spot', amount: 3.5 },
+        beamFocus: { source: 'focus', destination: 'beam.opacity', amount: 0.45 },
+        hazeFocus: { source: 'focus', destination: 'haze.opacity', amount: 0.04 },
+        bloomCore: { source: 'coreEnergy', destination: 'post.bloom', amount: 0.9 },
+        bloomEnergy: { source: 'energy', destination: 'post.bloom', amount: 0.5 },
+        shaftsFocus: { source: 'focus', destination: 'post.shafts', amount: 2.5 },
+        aberrationDrag: { source: 'dragForce', destination: 'post.aberration', amount: 0.008 },
+        grainEnergy: { source: 'energy', destination: 'post.grain', amount: 0.2 },
+        vignetteFocus: { source: 'focus', destination: 'post.vignette', amount: 0.35 }
+    }
+};
+
+const ROUTE_DEFAULTS = { amount: 1, curve: 'linear', offset: 0, smoothing: 0 };
+
+/* Route fields with undefined ones dropped, so defaults and current values survive */
+function defined(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/* Throws unless update() can evaluate the route (routes also arrive over OSC and in presets) */
+function validateRoute(route) {
+    if (typeof route.source !== 'string' || typeof route.destination !== 'string') {
+        throw new Error('Route needs a source and a destination name');
+    }
+    if (!Object.hasOwn(CURVES, route.curve)) throw new Error(`Unknown curve "${route.curve}"`);
+    for (const field of ['amount', 'offset']) {
+        if (!Number.isFinite(route[field])) throw new Error(`Route ${field} must be a finite number`);
+    }
+    if (!Number.isFinite(route.smoothing) || route.smoothing < 0) {
+        throw new Error('Route smoothing must be a number >= 0');
+    }
+}
+
+/* Throws unless an LFO can be evaluated */
+function validateLfo(name, { rate, shape, phase }) {
+    if (!Object.hasOwn(LFO_SHAPES, shape)) throw new Error(`Unknown LFO shape "${shape}"`);
+    if (!Number.isFinite(rate) || !Number.isFinite(phase)) throw new Error(`LFO "${name}" needs a finite rate and phase`);
+}
+
+export class ModulationMatrix {
+    constructor({ target = signals } = {}) {
+        this.target = target;
+        this.sources = new Map();      // name -> () => number
+        this.destinations = new Map(); // name -> { base, range, apply, group }
+        this.disabledGroups = new Set();
+        this.onFault = null;           // (group, error) => void, when a destination throws
+        this.routes = new Map();       // id -> Route (+ runtime state)
+        this.lfos = {};
+        this.audio = null;
+        this.time = 0;
+        this.nextId = 1;
+        this.load(DEFAULT_MODULATION);
+    }
+
+    /* =========================
+     * Extension points
+     * ========================= */
+    /* Derived source, e.g. a product of two signals */
+    addSource(name, read) {
+        this.sources.set(name, read);
+    }
+
+    /**
+     * @param {string} name
+     * @param {object} spec
+     * @param {number|(() => number)} spec.base  value with no modulation
+     * @param {[number, number]} [spec.range]   clamp for the summed value
+     * @param {(value: number) => void} spec.apply
+     * @param {string} [spec.group]  destinations that fail together, e.g. 'audio'
+     */
+    addDestination(name, { base = 0, range = [-Infinity, Infinity], apply, group = 'default' }) {
+        this.destinations.set(name, { base, range, apply, group });
+    }
+
+    removeDestination(name) {
+        this.destinations.delete(name);
+    }
+
+    /* Skips every destination of a group (e.g. 'audio' once the engine has faulted) */
+    setGroupEnabled(group, enabled) {
+        if (enabled) this.disabledGroups.delete(group);
+        else this.disabledGroups.add(group);
+    }
+
+    /* =========================
+     * Routes
+     * ========================= */
+    addRoute(route, id = `route${this.nextId++}`) {
+        const fields = { ...ROUTE_DEFAULTS, ...defined(route ?? {}) };
+        validateRoute(fields);
+        this.routes.set(id, { ...fields, value: null });
+        return id;
+    }
+
+    updateRoute(id, patch) {
+        const route = this.routes.get(id);
+        if (!route) throw new Error(`Unknown route "${id}"`);
+        const fields = { ...route, ...defined(patch) };
+        validateRoute(fields);
+        Object.assign(route, fields);
+    }
+
+    removeRoute(id) {
+        this.routes.delete(id);
+    }
+
+    setLfo(name, { rate = 0.1, shape = 'sine', phase = 0 } = {}) {
+        validateLfo(name, { rate, shape, phase });
+        this.lfos[name] = { rate, shape, phase };
+    }
+
+    /* =========================
+     * Evaluation
+     * ========================= */
+    read(source) {
+        const [kind, key] = source.includes(':') ? source.split(':') : [null, source];
+        if (kind === 'lfo') {
+            const lfo = this.lfos[key];
+            if (!lfo) return 0;
+            const phase = ((this.time * lfo.rate + (lfo.phase ?? 0)) % 1 + 1) % 1;
+            return LFO_SHAPES[lfo.shape](phase);
+        }
+        if (kind === 'audio') {
+            const audio = this.audio;
+            return audio?.bands[key] ?? audio?.layers[key] ?? audio?.[key] ?? 0;
+        }
+        const derived = this.sources.get(key);
+        if (derived) return derived();
+        const value = this.target.params[key];
+        return typeof value === 'number' ? value : 0;
+    }
+
+    /**
+     * Called once per frame after Signals.update().
+     * @param {number} [now]   ms, drives the LFOs
+     * @param {object} [audio] analysis frame (MasterAnalysis) for "audio:" sources
+     */
+    update(now = clock.now(), audio = null) {
+        const dt = Math.max(0, now / 1000 - this.time);
+        this.time = now / 1000;
+        this.audio = audio;
+
+        const sums = new Map();
+        for (const [id, route] of this.routes) {
+            if (!this.destinations.has(route.destination)) continue;
+            try {
+                const curve = CURVES[route.curve] ?? CURVES.linear;
+                const target = route.offset + route.amount * curve(this.read(route.source));
+                if (!Number.isFinite(target)) throw new Error(`non-finite value from "${route.source}"`);
+                route.value = route.value === null
+                    ? target
+                    : route.value + (target - route.value) * lerpFactor(route.smoothing, dt);
+            } catch (err) {
+                // A route that cannot be evaluated is dropped instead of ending the frame
+                this.routes.delete(id);
+                console.warn(`[Modulation] route "${id}" removed:`, err);
+                continue;
+            }
+            sums.set(route.destination, (sums.get(route.destination) ?? 0) + route.value);
+        }
+
+        for (const [name, dest] of this.destinations) {
+            if (this.disabledGroups.has(dest.group)) continue;
+            try {
+                const base = typeof dest.base === 'function' ? dest.base() : dest.base;
+                const value = Math.min(dest.range[1], Math.max(dest.range[0], base + (sums.get(name) ?? 0)));
+                dest.apply(value);
+            } catch (err) {
+                // A failing destination takes its group offline instead of ending the frame
+                this.setGroupEnabled(dest.group, false);
+                if (this.onFault) this.onFault(dest.group, err);
+                else console.error(`[Modulation] "${name}" failed; group "${dest.group}" disabled.`, err);
+            }
+        }
+    }
+
+    /* =========================
+     * Serialization (presets)
+     * ========================= */
+    serialize() {
+        const routes = {};
+        for (const [id, { value, ...route }] of this.routes) routes[id] = route;
+        return { lfos: structuredClone(this.lfos), routes };
+    }
+
+    load({ lfos = {}, routes = {} }) {
+        this.lfos = {};
+        for (const name in lfos) this.setLfo(name, lfos[name]);
+
+        // Keep the smoothed state of routes that survive the reload (preset crossfades)
+        const previous = this.routes;
+        this.routes = new Map();
+        for (const id in routes) {
+            const route = routes[id];
+            if (!route?.source || !route.destination) continue; // partial during a crossfade
+            this.addRoute(route, id);
+            this.routes.get(id).value = previous.get(id)?.value ?? null;
+        }
+        const numeric = Object.keys(routes).map((id) => Number(id.replace(/^route/, ''))).filter(Number.isFinite);
+        this.nextId = Math.max(this.nextId, ...numeric.map((n) => n + 1));
+    }
+}
+
+/* Throws unless ModulationMatrix.load() can take `data` whole (presets, shared links) */
+export function validateModulation({ lfos = {}, routes = {} } = {}) {
+    for (const name in lfos) validateLfo(name, { rate: 0.1, shape: 'sine', phase: 0, ...defined(lfos[name] ?? {}) });
+    for (const id in routes) validateRoute({ ...ROUTE_DEFAULTS, ...defined(routes[id] ?? {}) });
+}
+
+/* =========================
+ * Shared singleton
+ * ========================= */
+export const modulation = new ModulationMatrix();
@@ -0,0 +1,354 @@
+/**
+ * Presets.js
+ * Named snapshots of the whole instrument: AudioEngine layer and FX
+ * settings, Signals smoothing / idle-decay rates, the modulation matrix and
+ * the renderer mood.
+ * Presets are plain JSON; they can be stored locally, exported as files,
+ * shared as a URL fragment and crossfaded when switched mid-performance.
+ */
+
+import { signals } from './Signals.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+import { modulation, validateModulation } from './Modulation.js';
+import { clock } from './Clock.js';
+import { downloadBlob } from './download.js';
+
+export const PRESET_FORMAT = 'aura.preset';
+const PRESET_VERSION = 2; // 2: smoothing / decay in seconds instead of per-frame factors
+const STORAGE_KEY = 'aura.presets';
+const FRAGMENT_KEY = 'preset';
+
+// Values that are expensive or meaningless to interpolate jump at the end of a fade
+const SWITCH_AT_END = new Set(['reverbDecay', 'count']);
+
+// Audio settings are finite numbers, except these (Tone throws outside their domain)
+const AUDIO_FIELDS = {
+    oscillator: (value) => /^((fat|fm|am)?(sine|square|sawtooth|triangle)\d*|pulse|pwm)$/.test(value),
+    count: (value) => Number.isInteger(value) && value >= 1 && value <= 16,
+    reverbDecay: (value) => Number.isFinite(value) && value > 0.001
+};
+const MOOD_COLORS = ['fogColor', 'background'];
+
+export class PresetManager {
+    constructor({
+        renderer,
+        engine = audioEngine,
+        target = signals,
+        matrix = modulation,
+        storage = globalThis.localStorage
+    } = {}) {
+        this.renderer = renderer;
+        this.engine = engine;
+        this.target = target;
+        this.matrix = matrix;
+        this.storage = storage;
+        this.presets = this.load();
+        this.pending = null; // applied once the engine is initialized
+        this.fade = null;    // { from, to, start, duration }
+        this.current = null; // name of the last applied preset
+        this.factory = null; // built-in "default", captured on init
+    }
+
+    /* Remembers the untouched start-up state as the "default" preset */
+    captureFactory() {
+        this.factory = this.capture('default');
+    }
+
+    /* Snapshot of the current state */
+    capture(name = 'untitled') {
+        return {
+            format: PRESET_FORMAT,
+            version: PRESET_VERSION,
+            name,
+            audio: this.engine.getSettings(),
+            signals: {
+                smoothing: { ...this.target.smoothing },
+                decay: { ...this.target.decay }
+            },
+            modulation: this.matrix.serialize(),
+            mood: this.renderer.getMood()
+        };
+    }
+
+    /**
+     * Switches to a preset, crossfading over `fade` seconds (0 = instant).
+     * Before the engine is running the preset is held and applied on init.
+     */
+    apply(preset, { fade = 0, now = clock.now() } = {}) {
+        preset = upgrade(preset);
+        const unknown = Object.keys({ ...preset.signals?.smoothing, ...preset.signals?.decay })
+            .filter((key) => !this.target.has(key));
+        if (unknown.length > 0) throw new Error(`Preset sets unknown signals: ${unknown.join(', ')}`);
+        if (!this.engine.initialized) {
+            this.pending = preset;
+            return;
+        }
+
+        // Fill gaps from the current state so partial presets fade cleanly
+        const from = this.capture(preset.name);
+        const to = merge(from, preset);
+        // Routes are replaced, not merged, so a preset can remove them
+        to.modulation = preset.modulation ?? from.modulation;
+        this.current = preset.name;
+
+        if (fade <= 0) {
+            this.fade = null;
+            this.restoreOnFailure(from, () => this.write(to));
+            return;
+        }
+        this.fade = { from, to, start: now, duration: fade * 1000 };
+    }
+
+    applyPending() {
+        if (!this.pending) return;
+        const preset = this.pending;
+        this.pending = null;
+        try {
+            this.apply(preset);
+        } catch (err) {
+            console.warn('[Presets] Could not apply the pending preset.', err);
+        }
+    }
+
+    /* Runs a write; if the instrument rejects a value, goes back to `from` and rethrows */
+    restoreOnFailure(from, write) {
+        try {
+            write();
+        } catch (err) {
+            this.current = from.name;
+            this.write(from);
+            throw err;
+        }
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = clock.now()) {
+        if (!this.fade) return;
+        const { from, to, start, duration } = this.fade;
+        const t = Math.min(1, (now - start) / duration);
+        if (t >= 1) this.fade = null;
+        try {
+            this.restoreOnFailure(from, () => this.write(blend(from, to, t)));
+        } catch (err) {
+            this.fade = null;
+            console.warn('[Presets] Preset fade failed; restored the previous state.', err);
+        }
+    }
+
+    write(preset) {
+        this.engine.applySettings(preset.audio);
+        Object.assign(this.target.smoothing, preset.signals.smoothing);
+        Object.assign(this.target.decay, preset.signals.decay);
+        this.matrix.load(preset.modulation);
+        this.renderer.setMood(preset.mood);
+    }
+
+    /* =========================
+     * Named presets (localStorage)
+     * ========================= */
+    names() {
+        const names = Object.keys(this.presets).filter((name) => name !== 'default');
+        return this.factory ? ['default', ...names] : names;
+    }
+
+    get(name) {
+        return this.presets[name] ?? (name === 'default' ? this.factory : null);
+    }
+
+    save(name) {
+        const preset = this.capture(name);
+        this.presets[name] = preset;
+        this.persist();
+        this.current = name;
+        return preset;
+    }
+
+    remove(name) {
+        delete this.presets[name];
+        this.persist();
+    }
+
+    persist() {
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+    }
+
+    load() {
+        const json = this.storage?.getItem(STORAGE_KEY);
+        if (!json) return {};
+        try {
+            return JSON.parse(json);
+        } catch (err) {
+            console.warn('[Presets] Ignoring corrupt stored presets.', err);
+            return {};
+        }
+    }
+
+    /* =========================
+     * Files and URL fragments
+     * ========================= */
+    download(preset = this.capture(this.current ?? 'untitled')) {
+        const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `aura-preset-${preset.name}.json`);
+    }
+
+    /* Parses and stores an exported preset file */
+    import(json) {
+        const preset = upgrade(typeof json === 'string' ? JSON.parse(json) : json);
+        this.presets[preset.name] = preset;
+        this.persist();
+        return preset;
+    }
+
+    /* @returns {string} "#preset=<base64url JSON>" */
+    toFragment(preset = this.capture(this.current ?? 'shared')) {
+        const bytes = new TextEncoder().encode(JSON.stringify(preset));
+        let binary = '';
+        bytes.forEach((b) => { binary += String.fromCharCode(b); });
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `#${FRAGMENT_KEY}=${encoded}`;
+    }
+
+    /* @returns {object|null} preset encoded in a location hash, if any */
+    fromFragment(hash = location.hash) {
+        const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(FRAGMENT_KEY);
+        if (!encoded) return null;
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+        return upgrade(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+}
+
+/* Validates a preset and converts older versions to the current one */
+function upgrade(preset) {
+    if (preset?.format !== PRESET_FORMAT || !(preset.version >= 1 && preset.version <= PRESET_VERSION)) {
+        throw new Error('Unsupported preset format');
+    }
+    const upgraded = preset.version === PRESET_VERSION ? preset : upgradeV1(preset);
+    validate(upgraded);
+    return upgraded;
+}
+
+/* v1 stored per-frame factors tuned at 60 fps */
+function upgradeV1(preset) {
+    const FPS = 60;
+    const timeConstant = (k) => (k >= 1 ? 0 : -1 / (FPS * Math.log(1 - k)));
+    const halfLife = (d) => Math.log(0.5) / (FPS * Math.log(d));
+    const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj ?? {}).map(([k, v]) => [k, fn(v)]));
+
+    const upgraded = structuredClone(preset);
+    upgraded.version = PRESET_VERSION;
+    if (upgraded.signals) {
+        upgraded.signals.smoothing = mapValues(preset.signals.smoothing, timeConstant);
+        upgraded.signals.decay = Object.fromEntries(Object.entries(preset.signals.decay ?? {})
+            .filter(([, d]) => d < 1)
+            .map(([k, d]) => [k, halfLife(d)]));
+    }
+    for (const route of Object.values(upgraded.modulation?.routes ?? {})) {
+        route.smoothing = timeConstant(route.smoothing ?? 1);
+    }
+    return upgraded;
+}
+
+/*
+ * Throws unless every value of a (current version) preset has a type the
+ * instrument accepts, so a shared link or file can't fail halfway through write().
+ * Signal names are checked against the registry in apply().
+ */
+function validate(preset) {
+    const fail = (path) => { throw new Error(`Invalid preset value at ${path}`); };
+    if (typeof preset.name !== 'string') fail('name');
+    for (const section of ['audio', 'signals', 'modulation', 'mood']) {
+        if (preset[section] !== undefined && !isObject(preset[section])) fail(section);
+    }
+
+    const { audio = {}, signals: rates = {}, modulation: matrix = {}, mood = {} } = preset;
+    leaves(audio, 'audio', (value, key, path) => {
+        if (!(Object.hasOwn(AUDIO_FIELDS, key) ? AUDIO_FIELDS[key](value) : Number.isFinite(value))) fail(path);
+    });
+
+    for (const table of ['smoothing', 'decay']) {
+        if (rates[table] === undefined) continue;
+        if (!isObject(rates[table])) fail(`signals.${table}`);
+        for (const [key, value] of Object.entries(rates[table])) {
+            if (!(Number.isFinite(value) && value >= 0)) fail(`signals.${table}.${key}`);
+        }
+    }
+
+    for (const table of ['lfos', 'routes']) {
+        if (matrix[table] !== undefined && !isObject(matrix[table])) fail(`modulation.${table}`);
+    }
+    validateModulation(matrix);
+
+    for (const key of ['fogDensity', 'exposure']) {
+        if (mood[key] !== undefined && !Number.isFinite(mood[key])) fail(`mood.${key}`);
+    }
+    for (const key of MOOD_COLORS) {
+        if (mood[key] !== undefined && !isHexColor(mood[key])) fail(`mood.${key}`);
+    }
+    if (mood.lights !== undefined) {
+        if (!isObject(mood.lights)) fail('mood.lights');
+        for (const [name, color] of Object.entries(mood.lights)) {
+            if (!isHexColor(color)) fail(`mood.lights.${name}`);
+        }
+    }
+}
+
+/* Calls fn(value, key, path) for every non-object leaf */
+function leaves(obj, path, fn) {
+    for (const [key, value] of Object.entries(obj)) {
+        if (isObject(value)) leaves(value, `${path}.${key}`, fn);
+        else fn(value, key, `${path}.${key}`);
+    }
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/* Deep merge of `patch` over `base` (new object) */
+export function merge(base, patch) {
+    const out = { ...base };
+    for (const key in patch) {
+        out[key] = isObject(base[key]) && isObject(patch[key]) ? merge(base[key], patch[key]) : patch[key];
+    }
+    return out;
+}
+
+/* Interpolates every leaf of two same-shaped presets at t (0..1) */
+export function blend(from, to, t, key) {
+    if (isObject(to)) {
+        const out = {};
+        for (const k in to) out[k] = blend(from?.[k], to[k], t, k);
+        return out;
+    }
+    if (Array.isArray(to) && Array.isArray(from) && to.length === from.length) {
+        return to.map((value, i) => blend(from[i], value, t, key));
+    }
+    if (typeof to === 'number' && typeof from === 'number' && !SWITCH_AT_END.has(key)) {
+        return from + (to - from) * t;
+    }
+    if (isHexColor(to) && isHexColor(from)) return lerpHex(from, to, t);
+    if (SWITCH_AT_END.has(key)) return t >= 1 ? to : from;
+    return t >= 0.5 ? to : from;
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function lerpHex(a, b, t) {
+    const ca = parseInt(a.slice(1), 16);
+    const cb = parseInt(b.slice(1), 16);
+    let out = 0;
+    for (const shift of [16, 8, 0]) {
+        const va = (ca >> shift) & 0xff;
+        const vb = (cb >> shift) & 0xff;
+        out |= Math.round(va + (vb - va) * t) << shift;
+    }
+    return `#${out.toString(16).padStart(6, '0')}`;
+}
@@ -0,0 +1,92 @@
+/**
+ * Random.js
+ * Seeded pseudo-random source for every generative decision.
+ * Each subsystem draws from its own named stream so that, for a given seed,
+ * floor geometry does not shift when the audio loop consumes more numbers.
+ */
+
+function hashString(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// mulberry32: small, fast, good enough for musical/visual variation
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class RandomStream {
+    constructor(seed) {
+        this.next = mulberry32(seed);
+    }
+
+    /* [0, 1) */
+    random() {
+        return this.next();
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+export class Random {
+    constructor(seed = Random.seedFromURL() ?? Random.freshSeed()) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    static seedFromURL() {
+        if (typeof location === 'undefined') return null;
+        const value = new URLSearchParams(location.search).get('seed');
+        if (value === null || value === '') return null;
+        return /^\d+$/.test(value) ? Number(value) >>> 0 : hashString(value);
+    }
+
+    static freshSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /* Reseeds every stream; existing stream objects are reset in place */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.streams.forEach((stream, name) => {
+            stream.next = mulberry32(this.seed ^ hashString(name));
+        });
+    }
+
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(this.seed ^ hashString(name)));
+        }
+        return this.streams.get(name);
+    }
+}
+
+/* =========================
+ * Shared singleton
+ * ========================= */
+export const random = new Random();
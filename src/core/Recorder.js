@@ -0,0 +1,185 @@
+/**
+ * Recorder.js
+ * Captures signal input (perturb / set / setCursor / pointer calls) into portable JSON takes
+ * and replays them through the same Signals API as a live performer.
+ */
+
+import { signals } from './Signals.js';
+import { clock as realtime } from './Clock.js';
+import { downloadBlob } from './download.js';
+
+const TAKE_VERSION = 1;
+
+export class Recorder {
+    constructor(target = signals, { clock = realtime } = {}) {
+        this.target = target;
+        this.clock = clock;
+        this.state = 'idle'; // idle | recording | playing
+
+        /* --- recording --- */
+        this.take = null;
+        this.recordStart = 0;
+        this.untap = null;
+
+        /* --- playback --- */
+        this.loop = false;
+        this.speed = 1;
+        this.playhead = 0;   // seconds into the take
+        this.cursor = 0;     // index of next event to dispatch
+        this.lastTime = null;
+    }
+
+    /* =========================
+     * Recording
+     * ========================= */
+    startRecording() {
+        if (this.state === 'playing') this.stop();
+        if (this.state === 'recording') return;
+
+        this.take = { version: TAKE_VERSION, duration: 0, events: [] };
+        this.recordStart = this.clock.now();
+        this.untap = this.target.addTap((event) => {
+            const t = (this.clock.now() - this.recordStart) / 1000;
+            this.take.events.push({ t, ...event });
+        });
+        this.state = 'recording';
+    }
+
+    stopRecording() {
+        if (this.state !== 'recording') return null;
+
+        this.untap();
+        this.untap = null;
+        this.take.duration = (this.clock.now() - this.recordStart) / 1000;
+        this.state = 'idle';
+        return this.take;
+    }
+
+    /* =========================
+     * Playback
+     * ========================= */
+    play(take = this.take, { loop = this.loop, speed = this.speed } = {}) {
+        if (!take || take.events.length === 0) return;
+        if (this.state === 'recording') this.stopRecording();
+
+        this.take = take;
+        this.loop = loop;
+        this.speed = speed;
+        this.playhead = 0;
+        this.cursor = 0;
+        this.lastTime = null;
+        this.state = 'playing';
+    }
+
+    stop() {
+        if (this.state === 'recording') this.stopRecording();
+        this.state = 'idle';
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.125, Math.min(8, speed));
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = this.clock.now()) {
+        if (this.state !== 'playing') return;
+
+        this.lastTime ??= now;
+        this.playhead += ((now - this.lastTime) / 1000) * this.speed;
+        this.lastTime = now;
+
+        const { events, duration } = this.take;
+        while (this.cursor < events.length && events[this.cursor].t <= this.playhead) {
+            this.dispatch(events[this.cursor]);
+            this.cursor++;
+        }
+
+        if (this.playhead >= duration) {
+            if (this.loop && duration > 0) {
+                this.playhead -= duration;
+                this.cursor = 0;
+            } else {
+                this.state = 'idle';
+            }
+        }
+    }
+
+    dispatch(event) {
+        // Takes may carry signals this target never registered (e.g. mic input in a bounce)
+        if ((event.type === 'perturb' || event.type === 'set') && !this.target.has(event.key)) return;
+
+        if (event.type === 'perturb') {
+            this.target.perturb(event.key, event.value, event.force);
+        } else if (event.type === 'set') {
+            this.target.set(event.key, event.value);
+        } else if (event.type === 'cursor') {
+            this.target.setCursor(event.x, event.y);
+        } else if (event.type === 'pointer') {
+            this.target.setPointer(event.id, event);
+        } else if (event.type === 'pointerUp') {
+            this.target.removePointer(event.id);
+        }
+    }
+
+    /* =========================
+     * Serialization
+     * ========================= */
+    serialize(take = this.take) {
+        return JSON.stringify(take);
+    }
+
+    /* Parses a take; rejects the whole file if any event could not be dispatched */
+    load(json) {
+        const take = typeof json === 'string' ? JSON.parse(json) : json;
+        if (take?.version !== TAKE_VERSION || !Array.isArray(take.events)) {
+            throw new Error('Unsupported take format');
+        }
+        if (take.duration !== undefined && !Number.isFinite(take.duration)) throw new Error('Invalid take duration');
+        take.events.forEach((event, i) => {
+            if (!this.isValidEvent(event)) throw new Error(`Invalid take event #${i}`);
+        });
+        take.events.sort((a, b) => a.t - b.t);
+        take.duration = Math.max(take.duration ?? 0, take.events.at(-1)?.t ?? 0);
+        this.take = take;
+        return take;
+    }
+
+    /*
+     * Finite time and values, a known type and a scalar key. Keys this target
+     * has not registered pass (dispatch skips them, e.g. mic input in a bounce).
+     */
+    isValidEvent(event) {
+        if (!Number.isFinite(event?.t)) return false;
+        const finite = (...values) => values.every(Number.isFinite);
+        switch (event.type) {
+            case 'perturb':
+            case 'set':
+                return typeof event.key === 'string' && finite(event.value)
+                    && (!this.target.has(event.key) || this.target.declaration(event.key).type !== 'vector');
+            case 'cursor':
+                return finite(event.x, event.y);
+            case 'pointer':
+                return event.id !== undefined && finite(event.x, event.y) && (event.drag === undefined || finite(event.drag));
+            case 'pointerUp':
+                return event.id !== undefined;
+            default:
+                return false;
+        }
+    }
+
+    download(filename = `aura-take-${Date.now()}.json`) {
+        if (!this.take) return;
+        downloadBlob(new Blob([this.serialize()], { type: 'application/json' }), filename);
+    }
+}
+
+/* =========================
+ * Shared singleton
+ * ========================= */
+export const recorder = new Recorder();
@@ -0,0 +1,276 @@
+/**
+ * Scenes.js
+ * Switchable scenes: each bundles an environment (environments.js), a mood
+ * (fog, exposure, light colors), camera framing and an audio configuration
+ * (progression, layer timbres, FX). Switching crossfades the room geometry,
+ * mood, framing and audio settings; the new progression is voice-led in at
+ * the start of the fade. Scenes advance on a timer, from a two-finger twist
+ * or on demand.
+ */
+
+import { signals } from './Signals.js';
+import { clock } from './Clock.js';
+import { merge, blend } from './Presets.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+import { PROGRESSIONS } from '../audio/progressions.js';
+
+// Two-finger twist (rotation signal, +-1 = half a turn) that switches scene
+const TWIST_TRIGGER = 0.35;
+const TWIST_RELEASE = 0.1;
+
+/**
+ * @typedef {object} Scene
+ * @property {string} environment   key of ENVIRONMENTS
+ * @property {string} progression   key of PROGRESSIONS
+ * @property {object} mood          Renderer.setMood() shape
+ * @property {{ position: number[], look: number[], fov: number }} camera
+ * @property {object} audio         partial AudioEngine.getSettings() shape
+ * @property {number} [duration]    seconds before auto-advance (overrides the manager interval)
+ */
+
+/** @type {Object<string, Scene>} */
+export const SCENES = {
+    // The original room and sound
+    hall: {
+        environment: 'hall',
+        progression: 'default',
+        mood: {
+            fogDensity: 0.02,
+            fogColor: '#0c121a',
+            background: '#0a0d12',
+            exposure: 1.25,
+            lights: {
+                ambient: '#2a364a',
+                key: '#b2c0d4',
+                spotMain: '#d2deec',
+                accent: '#ffa550',
+                redMarker: '#ff4444',
+                coreGlow: '#ffa550'
+            }
+        },
+        camera: { position: [-12, 16, 45], look: [0, 10, -15], fov: 42 },
+        audio: {
+            layers: {
+                pad: { oscillator: 'sine', envelope: { attack: 4, release: 8 } },
+                shelf: { oscillator: 'triangle', filterQ: 2 },
+                grain: { pitchDecay: 0.05, octaves: 4 },
+                superSaw: { oscillator: 'sawtooth', count: 5 }
+            },
+            fx: { reverbDecay: 9, reverbWet: 0.35, delayTime: 0.25, delayFeedback: 0.25 }
+        }
+    },
+
+    // Cold grey hall under a searchlight
+    searchlight: {
+        environment: 'searchlight',
+        progression: 'dorianDrift',
+        mood: {
+            fogDensity: 0.028,
+            fogColor: '#1a2026',
+            background: '#12161a',
+            exposure: 1.15,
+            lights: {
+                ambient: '#2e3440',
+                key: '#c8d2dc',
+                spotMain: '#e8eef4',
+                accent: '#d8e4f0',
+                redMarker: '#ff4444',
+                coreGlow: '#cfe0ff'
+            }
+        },
+        camera: { position: [8, 14, 48], look: [4, 12, -20], fov: 38 },
+        audio: {
+            layers: {
+                pad: { oscillator: 'triangle', envelope: { attack: 5, release: 10 } },
+                shelf: { oscillator: 'sine', filterQ: 1 },
+                grain: { pitchDecay: 0.03, octaves: 5 },
+                superSaw: { oscillator: 'sawtooth', count: 3 }
+            },
+            fx: { reverbDecay: 12, reverbWet: 0.45, delayTime: 0.375, delayFeedback: 0.3 }
+        }
+    },
+
+    // Warm work-light in a boarded bunker: dry and close
+    bunker: {
+        environment: 'bunker',
+        progression: 'lydianHaze',
+        mood: {
+            fogDensity: 0.035,
+            fogColor: '#0a0906',
+            background: '#070605',
+            exposure: 1.1,
+            lights: {
+                ambient: '#2a2418',
+                key: '#8a7a60',
+                spotMain: '#f0c27a',
+                accent: '#ffb347',
+                redMarker: '#ff6a3a',
+                coreGlow: '#ffb347'
+            }
+        },
+        camera: { position: [-18, 10, 38], look: [-4, 8, -20], fov: 46 },
+        audio: {
+            layers: {
+                pad: { oscillator: 'sine', envelope: { attack: 2.5, release: 6 } },
+                shelf: { oscillator: 'sawtooth', filterQ: 4 },
+                grain: { pitchDecay: 0.08, octaves: 3 },
+                superSaw: { oscillator: 'square', count: 4 }
+            },
+            fx: { reverbDecay: 5, reverbWet: 0.22, delayTime: 0.25, delayFeedback: 0.15 }
+        }
+    },
+
+    // Flooded tank: deep, wet and slow
+    tank: {
+        environment: 'tank',
+        progression: 'aeolianDepth',
+        mood: {
+            fogDensity: 0.03,
+            fogColor: '#1b2328',
+            background: '#0e1316',
+            exposure: 1.2,
+            lights: {
+                ambient: '#2a3640',
+                key: '#9fb4c4',
+                spotMain: '#b8ccd8',
+                accent: '#ff7a5a',
+                redMarker: '#ff2222',
+                coreGlow: '#ffa550'
+            }
+        },
+        camera: { position: [0, 12, 50], look: [0, 9, -20], fov: 40 },
+        audio: {
+            layers: {
+                pad: { oscillator: 'sine', envelope: { attack: 6, release: 12 } },
+                shelf: { oscillator: 'triangle', filterQ: 3 },
+                grain: { pitchDecay: 0.12, octaves: 6 },
+                superSaw: { oscillator: 'sawtooth', count: 7 }
+            },
+            fx: { reverbDecay: 16, reverbWet: 0.5, delayTime: 0.375, delayFeedback: 0.4 }
+        }
+    }
+};
+
+export class SceneManager {
+    constructor({
+        renderer,
+        engine = audioEngine,
+        target = signals,
+        scenes = SCENES,
+        transition = 6,
+        interval = 90
+    } = {}) {
+        this.renderer = renderer;
+        this.engine = engine;
+        this.target = target;
+        this.scenes = scenes;
+        this.transition = transition; // default crossfade in seconds
+        this.interval = interval;     // seconds per scene while auto-advancing
+        this.auto = false;
+        this.current = 'hall';
+        this.pending = null;          // scene name applied once the engine is initialized
+        this.fade = null;             // { from, to, weights, environment, start, duration }
+        this.enteredAt = clock.now();
+        this.twistArmed = true;
+    }
+
+    names() {
+        return Object.keys(this.scenes);
+    }
+
+    /* Snapshot of everything a scene controls (except the environment mix) */
+    capture() {
+        return {
+            audio: this.engine.getSettings(),
+            mood: this.renderer.getMood(),
+            camera: this.renderer.getFraming()
+        };
+    }
+
+    /**
+     * Switches to a scene, crossfading over `fade` seconds (0 = instant).
+     * Before the engine is running the switch is held and applied on init.
+     */
+    go(name, { fade = this.transition, now = clock.now() } = {}) {
+        if (!Object.hasOwn(this.scenes, name)) throw new Error(`Unknown scene "${name}"`);
+        const scene = this.scenes[name];
+        if (!this.engine.initialized) {
+            this.pending = name;
+            return;
+        }
+
+        const from = this.capture();
+        const to = merge(from, { audio: scene.audio, mood: scene.mood, camera: scene.camera });
+        const weights = { ...this.renderer.environmentMix };
+        this.renderer.loadEnvironment(scene.environment);
+
+        if (scene.progression && this.engine.harmony.progression.name !== scene.progression) {
+            this.engine.setProgression(PROGRESSIONS[scene.progression]);
+        }
+
+        this.current = name;
+        this.enteredAt = now;
+        this.fade = { from, to, weights, environment: scene.environment, start: now, duration: fade * 1000 };
+        if (fade <= 0) this.update(now);
+    }
+
+    /* Steps through the scene list (+1 / -1) */
+    next(direction = 1, options) {
+        const names = this.names();
+        const index = names.indexOf(this.current);
+        this.go(names[(index + direction + names.length) % names.length], options);
+    }
+
+    applyPending() {
+        if (!this.pending) return;
+        const name = this.pending;
+        this.pending = null;
+        this.go(name, { fade: 0 });
+    }
+
+    setAuto(auto, now = clock.now()) {
+        this.auto = auto;
+        this.enteredAt = now;
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = clock.now()) {
+        this.updateTriggers(now);
+        if (!this.fade) return;
+
+        const { from, to, weights, environment, start, duration } = this.fade;
+        const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+        const settings = blend(from, to, t);
+        this.engine.applySettings(settings.audio);
+        this.renderer.setMood(settings.mood);
+        this.renderer.setFraming(settings.camera);
+
+        // Outgoing rooms fade from wherever they were (a fade may be interrupted)
+        const mix = {};
+        for (const name in weights) mix[name] = weights[name] * (1 - t);
+        mix[environment] = (mix[environment] ?? 0) + t;
+        this.renderer.setEnvironmentMix(mix);
+
+        if (t >= 1) this.fade = null;
+    }
+
+    /* Two-finger twist and the auto-advance timer */
+    updateTriggers(now) {
+        if (!this.engine.initialized) return;
+
+        const twist = this.target.params.rotation ?? 0; // registered by Interaction
+        if (this.twistArmed && Math.abs(twist) > TWIST_TRIGGER) {
+            this.twistArmed = false;
+            this.next(Math.sign(twist), { now });
+        } else if (Math.abs(twist) < TWIST_RELEASE) {
+            this.twistArmed = true;
+        }
+
+        const duration = this.scenes[this.current].duration ?? this.interval;
+        if (this.auto && !this.fade && now - this.enteredAt >= duration * 1000) {
+            this.next(1, { now });
+        }
+    }
+}
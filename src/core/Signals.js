@@ -1,136 +1,295 @@
 /**
  * Signals.js
  * Shared continuous signal state with smoothing and inertia.
+ * Every signal is declared in a registry (range, smoothing, decay,
+ * accumulation, type, drift); modules register their own signals.
+ * Smoothing and decay are expressed in seconds, so behaviour does not
+ * depend on the display refresh rate; step(dt) advances by a fixed dt.
  * Input is handled externally (Interaction.js).
  */
 
+import { clock as realtime } from './Clock.js';
+
+const MAX_DT = 0.25; // seconds; longer gaps (background tab) are clamped
+
+/**
+ * @typedef {object} SignalDeclaration
+ * @property {number|{x:number,y:number}} [initial=0]
+ * @property {[number, number]} [range=[0, 1]]  clamp for targets (per component for vectors)
+ * @property {number} [smoothing=0.16] time constant in seconds to approach the target (0 = immediate)
+ * @property {number|null} [decay=null] idle half-life of the target in seconds (null = no decay)
+ * @property {'set'|'add'|'max'} [accumulate='set']  how perturb() combines values
+ * @property {'continuous'|'binary'|'vector'} [type='continuous']
+ *           binary: passed through unsmoothed as 0/1; vector: {x, y}, written via setCursor()
+ * @property {(value: number, ctx: { dt: number, targets: object }) => number} [drift]
+ *           autonomous target motion, applied every frame before decay
+ */
+
+/* Core signals (inputs register theirs, e.g. Interaction, MicInput) */
+export const CORE_SIGNALS = {
+    // First: the energy / focus drift floors read it
+    drift: {
+        range: [0, Infinity],
+        smoothing: 3.3,
+        drift: (value, { dt }) => value + dt * 0.1
+    },
+
+    energy: {
+        initial: 0.08,
+        smoothing: 0.82,
+        decay: 2.3,
+        accumulate: 'add',
+        drift: (value, { targets }) => Math.max(value, 0.06 + Math.sin(targets.drift * 0.6) * 0.02)
+    },
+    focus: {
+        initial: 0.06,
+        smoothing: 0.33,
+        decay: 1.15,
+        drift: (value, { targets }) => Math.max(value, 0.05 + Math.cos(targets.drift * 0.4) * 0.02)
+    },
+    depth: { initial: 0.5, smoothing: 1.66 },
+    resonance: { initial: 0.2, smoothing: 0.55 },
+    texture: { initial: 0.12, smoothing: 0.82 },
+
+    drag: { smoothing: 0.33, decay: 0.225 },
+    dragActive: { type: 'binary' },
+    dragForce: { smoothing: 0.23, decay: 0.077 },
+
+    velocity: { smoothing: 0.2, decay: 0.09 },
+    sharpness: { smoothing: 0.2, decay: 0.071 },
+
+    position: { type: 'vector', initial: { x: 0.5, y: 0.5 }, smoothing: 0.2 }
+};
+
+const DEFAULTS = {
+    initial: 0,
+    range: [0, 1],
+    smoothing: 0.16,
+    decay: null,
+    accumulate: 'set',
+    type: 'continuous',
+    drift: null
+};
+
+const ACCUMULATE = ['set', 'add', 'max'];
+const TYPES = ['continuous', 'binary', 'vector'];
+
 export class Signals {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {{ now(): number }} [options.clock] time source in ms (see Clock.js)
+     */
+    constructor({ clock = realtime } = {}) {
+        this.clock = clock;
+
         /* =========================
-         * Public parameters (smoothed)
+         * Declarations (name -> SignalDeclaration with defaults filled in)
          * ========================= */
-        this.params = {
-            energy: 0.08,
-            focus: 0.06,
-            depth: 0.5,
-            resonance: 0.2,
-            texture: 0.12,
-
-            drag: 0,
-            dragActive: 0,
-            dragForce: 0,
+        this.registry = new Map();
 
-            velocity: 0,
-            sharpness: 0,
+        /* =========================
+         * Public parameters (smoothed) and raw targets (written by inputs)
+         * ========================= */
+        this.params = {};
+        this.targets = {};
 
-            position: { x: 0.5, y: 0.5 },
-            drift: 0
-        };
+        /* =========================
+         * Live tuning tables, seeded from declarations (presets write these)
+         * ========================= */
+        this.smoothing = {};
+        this.decay = {};
 
         /* =========================
-         * Raw targets (written by Interaction)
+         * Per-pointer state (written by Interaction, one entry per active pointer)
+         * id -> { x, y, down, drag, dragTarget }
          * ========================= */
-        this.targets = {
-            ...this.params,
-            position: { x: 0.5, y: 0.5 }
-        };
+        this.pointers = new Map();
 
         /* =========================
-         * Smoothing factors
+         * Input taps (observers of perturb / setCursor calls)
          * ========================= */
-        this.smoothing = {
-            energy: 0.02,
-            focus: 0.05,
-            depth: 0.01,
-            resonance: 0.03,
-            texture: 0.02,
+        this.taps = new Set();
+
+        this.registerAll(CORE_SIGNALS);
+
+        this.lastTime = this.clock.now();
+    }
 
-            drag: 0.05,
-            dragActive: 0.2,
-            dragForce: 0.07,
+    /* =========================
+     * Registry
+     * ========================= */
+    /**
+     * Declares a signal. Re-registering an existing name updates its
+     * declaration but keeps the current value.
+     * @param {string} name
+     * @param {SignalDeclaration} declaration
+     */
+    register(name, declaration = {}) {
+        const decl = { ...DEFAULTS, ...declaration };
+        if (!ACCUMULATE.includes(decl.accumulate)) {
+            throw new Error(`Signal "${name}": unknown accumulation "${decl.accumulate}"`);
+        }
+        if (!TYPES.includes(decl.type)) throw new Error(`Signal "${name}": unknown type "${decl.type}"`);
+
+        const existing = this.registry.has(name);
+        this.registry.set(name, decl);
+        this.smoothing[name] = decl.type === 'binary' ? 0 : decl.smoothing;
+        if (decl.decay !== null) this.decay[name] = decl.decay;
+        else delete this.decay[name];
+
+        if (existing) return;
+        if (decl.type === 'vector') {
+            this.params[name] = { ...decl.initial };
+            this.targets[name] = { ...decl.initial };
+        } else {
+            this.params[name] = decl.initial;
+            this.targets[name] = decl.initial;
+        }
+    }
+
+    registerAll(declarations) {
+        for (const name in declarations) this.register(name, declarations[name]);
+    }
 
-            velocity: 0.08,
-            sharpness: 0.08,
+    has(name) {
+        return this.registry.has(name);
+    }
 
-            position: 0.08,
-            drift: 0.005
-        };
+    declaration(name) {
+        const decl = this.registry.get(name);
+        if (!decl) throw new Error(`Unknown signal "${name}"`);
+        return decl;
+    }
 
-        this.lastTime = performance.now();
+    /* Validates a scalar write against its declaration */
+    validate(name, value) {
+        const decl = this.declaration(name);
+        if (decl.type === 'vector') throw new Error(`Signal "${name}" is a vector; use setCursor()`);
+        if (!Number.isFinite(value)) throw new TypeError(`Signal "${name}": expected a finite number, got ${value}`);
+        return decl;
     }
 
     /* =========================
      * Frame update (called from main loop)
      * ========================= */
-    update() {
-        const now = performance.now();
-        const dt = (now - this.lastTime) / 1000;
+    update(now = this.clock.now()) {
+        const dt = Math.min(MAX_DT, Math.max(0, (now - this.lastTime) / 1000));
         this.lastTime = now;
+        this.step(dt);
+    }
 
+    /* Advances every signal by a fixed dt (seconds), independent of the clock */
+    step(dt) {
         /* --- autonomous drift --- */
-        this.targets.drift += dt * 0.1;
-
-        const baseEnergy =
-            0.06 + Math.sin(this.targets.drift * 0.6) * 0.02;
-        const baseFocus =
-            0.05 + Math.cos(this.targets.drift * 0.4) * 0.02;
-
-        this.targets.energy = Math.max(this.targets.energy, baseEnergy);
-        this.targets.focus = Math.max(this.targets.focus, baseFocus);
+        for (const [key, decl] of this.registry) {
+            if (decl.drift) this.targets[key] = decl.drift(this.targets[key], { dt, targets: this.targets });
+        }
 
         /* --- idle decay (continuous signals only) --- */
-        this.targets.energy *= 0.995;
-        this.targets.focus *= 0.99;
-        this.targets.drag *= 0.95;
-        this.targets.velocity *= 0.88;
-        this.targets.sharpness *= 0.85;
-        this.targets.dragForce *= 0.86;
-        // ❌ dragActive는 decay하지 않음
+        for (const key in this.decay) this.targets[key] *= decayFactor(this.decay[key], dt);
+
+        /* --- per-pointer drag (same decay/smoothing as the aggregate) --- */
+        const dragDecay = decayFactor(this.decay.drag, dt);
+        const dragSmoothing = lerpFactor(this.smoothing.drag, dt);
+        this.pointers.forEach((p) => {
+            p.dragTarget *= dragDecay;
+            p.drag += (p.dragTarget - p.drag) * dragSmoothing;
+        });
 
         /* --- smoothing / lerp --- */
-        for (const key in this.params) {
-            if (key === 'position') {
-                this.params.position.x +=
-                    (this.targets.position.x - this.params.position.x) *
-                    this.smoothing.position;
-                this.params.position.y +=
-                    (this.targets.position.y - this.params.position.y) *
-                    this.smoothing.position;
-
-            } else if (key === 'dragActive') {
+        for (const [key, decl] of this.registry) {
+            const k = lerpFactor(this.smoothing[key], dt);
+            if (decl.type === 'vector') {
+                this.params[key].x += (this.targets[key].x - this.params[key].x) * k;
+                this.params[key].y += (this.targets[key].y - this.params[key].y) * k;
+
+            } else if (decl.type === 'binary') {
                 // 🔥 binary state: 그대로 전달
-                this.params.dragActive = this.targets.dragActive;
+                this.params[key] = this.targets[key];
 
-            } else if (typeof this.params[key] === 'number') {
-                this.params[key] +=
-                    (this.targets[key] - this.params[key]) *
-                    this.smoothing[key];
+            } else {
+                this.params[key] += (this.targets[key] - this.params[key]) * k;
             }
         }
     }
 
     /* =========================
-     * APIs used by Interaction.js
+     * APIs used by Interaction.js and other input sources
      * ========================= */
     perturb(key, value, force = false) {
-        if (!(key in this.targets)) return;
+        const decl = this.validate(key, value);
+        this.emitTap({ type: 'perturb', key, value, force });
 
         if (force) {
-            this.params[key] = value;
-            this.targets[key] = value;
-        } else {
-            if (key === 'energy') {
-                this.targets.energy = Math.min(1, this.targets.energy + value);
-            } else {
-                this.targets[key] = value;
-            }
+            const v = clamp(decl, value);
+            this.params[key] = v;
+            this.targets[key] = v;
+            return;
         }
+
+        const current = this.targets[key];
+        if (decl.accumulate === 'add') this.targets[key] = clamp(decl, current + value);
+        else if (decl.accumulate === 'max') this.targets[key] = Math.max(current, clamp(decl, value));
+        else this.targets[key] = clamp(decl, value);
+    }
+
+    /* Creates or updates one pointer's state (multi-touch) */
+    setPointer(id, { x, y, down, drag }) {
+        this.emitTap({ type: 'pointer', id, x, y, down, drag });
+        const p = this.pointers.get(id) ?? { x, y, down, drag: 0, dragTarget: 0 };
+        p.x = x;
+        p.y = y;
+        p.down = down;
+        if (drag !== undefined) p.dragTarget = drag;
+        this.pointers.set(id, p);
+    }
+
+    removePointer(id) {
+        this.emitTap({ type: 'pointerUp', id });
+        this.pointers.delete(id);
+    }
+
+    /* Absolute target write (no accumulation), e.g. a MIDI fader */
+    set(key, value) {
+        const decl = this.validate(key, value);
+        this.emitTap({ type: 'set', key, value });
+        this.targets[key] = clamp(decl, value);
     }
 
     setCursor(x, y) {
-        this.targets.position.x = x;
-        this.targets.position.y = y;
+        this.emitTap({ type: 'cursor', x, y });
+        const [min, max] = this.registry.get('position').range;
+        this.targets.position.x = Math.min(max, Math.max(min, x));
+        this.targets.position.y = Math.min(max, Math.max(min, y));
+    }
+
+    /* =========================
+     * Taps (used by Recorder.js)
+     * ========================= */
+    addTap(fn) {
+        this.taps.add(fn);
+        return () => this.taps.delete(fn);
     }
+
+    emitTap(event) {
+        this.taps.forEach((fn) => fn(event));
+    }
+}
+
+/* Fraction of the remaining distance covered in dt for time constant tau */
+export function lerpFactor(tau, dt) {
+    return tau > 0 ? 1 - Math.exp(-dt / tau) : 1;
+}
+
+/* Multiplier for dt given a half-life (null / undefined = no decay) */
+export function decayFactor(halfLife, dt) {
+    if (halfLife === null || halfLife === undefined) return 1;
+    return halfLife > 0 ? Math.pow(0.5, dt / halfLife) : 0;
+}
+
+function clamp(decl, value) {
+    if (decl.type === 'binary') return value >= 0.5 ? 1 : 0;
+    return Math.min(decl.range[1], Math.max(decl.range[0], value));
 }
 
 /* =========================
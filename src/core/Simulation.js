@@ -0,0 +1,77 @@
+/**
+ * Simulation.js
+ * Headless, fixed-step run of the control layer: take playback, Signals
+ * and the modulation matrix on a ManualClock. Two runs with the same take
+ * and dt produce identical frames, so sessions can be compared offline.
+ * Bounce.js drives an AudioEngine from the same step.
+ */
+
+import { ManualClock } from './Clock.js';
+import { Signals } from './Signals.js';
+import { Recorder } from './Recorder.js';
+import { ModulationMatrix } from './Modulation.js';
+
+export class Simulation {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.take]        Take in Recorder format
+     * @param {object} [options.modulation]  Modulation matrix state (defaults to DEFAULT_MODULATION)
+     * @param {number} [options.dt]          Fixed step in seconds
+     */
+    constructor({ take = null, modulation = null, dt = 1 / 60 } = {}) {
+        this.dt = dt;
+        this.clock = new ManualClock(0);
+        this.signals = new Signals({ clock: this.clock });
+        this.recorder = new Recorder(this.signals, { clock: this.clock });
+        this.matrix = new ModulationMatrix({ target: this.signals });
+        if (modulation) this.matrix.load(modulation);
+        if (take) this.recorder.play(take);
+    }
+
+    get time() {
+        return this.clock.now() / 1000;
+    }
+
+    /* Advances everything by one fixed step (seconds) */
+    step(dt = this.dt) {
+        const now = this.clock.advance(dt * 1000);
+        this.recorder.update(now);
+        this.signals.update(now);
+        this.matrix.update(now);
+        return now;
+    }
+
+    /**
+     * Runs for `duration` seconds and samples the smoothed params.
+     * @returns {Array<{ t: number, params: object }>}
+     */
+    run(duration, { every = 1 } = {}) {
+        const frames = [];
+        const steps = Math.round(duration / this.dt);
+        for (let i = 1; i <= steps; i++) {
+            this.step();
+            if (i % every === 0) frames.push({ t: this.time, params: structuredClone(this.signals.params) });
+        }
+        return frames;
+    }
+}
+
+/**
+ * Largest per-signal difference between two runs sampled at the same times.
+ * @returns {Object<string, number>}
+ */
+export function compareRuns(a, b) {
+    const diff = {};
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        for (const key in a[i].params) {
+            const x = a[i].params[key];
+            const y = b[i].params[key];
+            const d = typeof x === 'number'
+                ? Math.abs(x - (y ?? 0))
+                : Math.hypot(x.x - (y?.x ?? 0), x.y - (y?.y ?? 0));
+            diff[key] = Math.max(diff[key] ?? 0, d);
+        }
+    }
+    return diff;
+}
@@ -0,0 +1,13 @@
+/**
+ * download.js
+ * Saves a Blob to disk through a temporary anchor element.
+ */
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,251 @@
+/**
+ * GamepadInput.js
+ * Gamepad API input source, polled once per frame from the main loop.
+ * Left stick moves the cursor, right stick offsets the camera look,
+ * triggers drive energy / dragForce and buttons fire actions (chord steps,
+ * layer toggles). The mapping is plain data and can be replaced at runtime.
+ */
+
+import { signals } from '../core/Signals.js';
+import { clock as realtime } from '../core/Clock.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+const STORAGE_KEY = 'aura.gamepadMapping';
+const CURSOR_SPEED = 0.8; // screen units per second at full deflection
+
+/* Held "cursor:<direction>" actions */
+const CURSOR_DIRECTIONS = {
+    up: [0, -1],
+    down: [0, 1],
+    left: [-1, 0],
+    right: [1, 0]
+};
+
+/* Camera look offset [-1, 1] (right stick) */
+export const LOOK_SIGNALS = {
+    lookX: { range: [-1, 1], smoothing: 0.16 },
+    lookY: { range: [-1, 1], smoothing: 0.16 }
+};
+
+// Indices follow the W3C "standard" gamepad layout
+export const DEFAULT_GAMEPAD_MAPPING = {
+    deadZone: 0.15,
+    axes: {
+        cursorX: 0,
+        cursorY: 1,
+        lookX: 2,
+        lookY: 3
+    },
+    triggers: {
+        energy: 6,     // LT
+        dragForce: 7   // RT (pressed past half = dragActive)
+    },
+    buttons: {
+        0: 'chord:next',        // A
+        1: 'chord:prev',        // B
+        2: 'toggle:grain',      // X
+        3: 'toggle:shelf',      // Y
+        4: 'toggle:pad',        // LB
+        5: 'toggle:lead',       // RB
+        12: 'cursor:up',        // d-pad (arcade sticks report digital directions here)
+        13: 'cursor:down',
+        14: 'cursor:left',
+        15: 'cursor:right'
+    }
+};
+
+/* =========================
+ * Simulated pad (tests / no hardware)
+ * ========================= */
+export function createVirtualGamepad({ index = 0, axes = 4, buttons = 17 } = {}) {
+    return {
+        id: 'Virtual Gamepad',
+        index,
+        connected: true,
+        mapping: 'standard',
+        axes: new Array(axes).fill(0),
+        buttons: Array.from({ length: buttons }, () => ({ pressed: false, value: 0 })),
+        press(i, value = 1) {
+            this.buttons[i] = { pressed: value > 0.5, value };
+        }
+    };
+}
+
+export class GamepadInput {
+    constructor({
+        target = signals,
+        engine = audioEngine,
+        getGamepads = () => navigator.getGamepads?.() ?? [],
+        storage = globalThis.localStorage,
+        clock = realtime
+    } = {}) {
+        this.target = target;
+        this.clock = clock;
+        this.target.registerAll(LOOK_SIGNALS);
+        this.engine = engine;
+        this.getGamepads = getGamepads;
+        this.storage = storage;
+        this.mapping = this.load() ?? structuredClone(DEFAULT_GAMEPAD_MAPPING);
+        this.previousButtons = [];
+        this.look = { x: 0, y: 0 };
+        this.triggerHeld = false;
+        this.connected = false;
+        this.lastTime = this.clock.now();
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = this.clock.now()) {
+        const dt = Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+
+        const pad = [...this.getGamepads()].find((p) => p?.connected);
+        this.connected = Boolean(pad);
+        if (!pad) return;
+
+        this.updateSticks(pad, dt);
+        this.updateTriggers(pad);
+        this.updateButtons(pad, dt);
+    }
+
+    axis(pad, index) {
+        const value = pad.axes[index] ?? 0;
+        const dz = this.mapping.deadZone;
+        if (Math.abs(value) < dz) return 0;
+        return Math.sign(value) * (Math.abs(value) - dz) / (1 - dz);
+    }
+
+    updateSticks(pad, dt) {
+        const { axes } = this.mapping;
+        this.moveCursor(this.axis(pad, axes.cursorX), this.axis(pad, axes.cursorY), dt);
+
+        // Only write on change so recorded takes don't fill with idle frames
+        const lookX = this.axis(pad, axes.lookX);
+        const lookY = this.axis(pad, axes.lookY);
+        if (lookX !== this.look.x) this.target.set('lookX', lookX);
+        if (lookY !== this.look.y) this.target.set('lookY', lookY);
+        this.look = { x: lookX, y: lookY };
+    }
+
+    moveCursor(dx, dy, dt) {
+        if (dx === 0 && dy === 0) return;
+        // Continue from wherever the cursor is (mouse, keyboard or replay may have moved it)
+        const step = CURSOR_SPEED * dt;
+        const { x, y } = this.target.targets.position;
+        this.target.setCursor(
+            Math.min(1, Math.max(0, x + dx * step)),
+            Math.min(1, Math.max(0, y + dy * step))
+        );
+
+        const speed = Math.min(1, Math.hypot(dx, dy));
+        this.target.perturb('velocity', speed * CURSOR_SPEED / 3);
+        this.target.perturb('energy', step * speed * 2);
+        if (this.triggerHeld) this.target.perturb('drag', 0.3 + speed * 0.5);
+    }
+
+    updateTriggers(pad) {
+        const { triggers } = this.mapping;
+        const energy = pad.buttons[triggers.energy]?.value ?? 0;
+        const force = pad.buttons[triggers.dragForce]?.value ?? 0;
+
+        if (energy > 0.02) this.target.perturb('energy', energy * 0.02);
+
+        const held = force > 0.5;
+        if (held !== this.triggerHeld) {
+            this.triggerHeld = held;
+            this.target.perturb('dragActive', held ? 1 : 0, true);
+            if (held) {
+                this.target.perturb('focus', 0.8);
+                this.target.perturb('resonance', 0.6);
+            }
+        }
+        if (held) {
+            this.target.perturb('dragForce', force);
+            this.target.perturb('drag', Math.max(this.target.targets.drag, 0.3));
+        }
+    }
+
+    updateButtons(pad, dt) {
+        pad.buttons.forEach((button, i) => {
+            const action = this.mapping.buttons[i];
+            const wasPressed = this.previousButtons[i] ?? false;
+            if (action?.startsWith('cursor:') && button.pressed) this.runHeld(action, dt);
+            else if (action && button.pressed && !wasPressed) this.run(action);
+            this.previousButtons[i] = button.pressed;
+        });
+    }
+
+    /* Edge-triggered actions */
+    run(action) {
+        const [kind, arg] = action.split(':');
+        if (kind === 'chord') this.engine.stepChord(arg === 'prev' ? -1 : 1);
+        else if (kind === 'toggle') this.engine.toggleLayer(arg);
+    }
+
+    /* Continuous actions while held (digital directions) */
+    runHeld(action, dt) {
+        const [dx, dy] = CURSOR_DIRECTIONS[action.slice('cursor:'.length)];
+        this.moveCursor(dx, dy, dt);
+    }
+
+    /* Lets go of the trigger and the look offset (live input muted, e.g. for take playback) */
+    releaseAll() {
+        if (this.triggerHeld) {
+            this.triggerHeld = false;
+            this.target.perturb('dragActive', 0, true);
+        }
+        if (this.look.x !== 0) this.target.set('lookX', 0);
+        if (this.look.y !== 0) this.target.set('lookY', 0);
+        this.look = { x: 0, y: 0 };
+    }
+
+    /* =========================
+     * Mapping
+     * ========================= */
+    setMapping(mapping) {
+        const next = { ...structuredClone(DEFAULT_GAMEPAD_MAPPING), ...mapping };
+        this.validateMapping(next);
+        this.mapping = next;
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.mapping));
+    }
+
+    load() {
+        const json = this.storage?.getItem(STORAGE_KEY);
+        if (!json) return null;
+        try {
+            const mapping = { ...structuredClone(DEFAULT_GAMEPAD_MAPPING), ...JSON.parse(json) };
+            this.validateMapping(mapping);
+            return mapping;
+        } catch (err) {
+            console.warn('[GamepadInput] Ignoring corrupt stored mapping.', err);
+            return null;
+        }
+    }
+
+    /* Throws unless update() can run the mapping */
+    validateMapping({ deadZone, axes, triggers, buttons }) {
+        if (!(Number.isFinite(deadZone) && deadZone >= 0 && deadZone < 1)) {
+            throw new Error('Gamepad dead zone must be in [0, 1)');
+        }
+        if ([axes, triggers, buttons].some((table) => typeof table !== 'object' || table === null)) {
+            throw new Error('Gamepad mapping needs axes, triggers and buttons');
+        }
+        for (const [name, index] of Object.entries({ ...axes, ...triggers })) {
+            if (!Number.isInteger(index) || index < 0) throw new Error(`Invalid gamepad index for "${name}"`);
+        }
+        for (const [button, action] of Object.entries(buttons)) {
+            if (!this.isAction(action)) throw new Error(`Unknown gamepad action "${action}" on button ${button}`);
+        }
+    }
+
+    /* "chord:next|prev", "toggle:<layer>" or "cursor:<direction>" */
+    isAction(action) {
+        if (typeof action !== 'string') return false;
+        const [kind, arg] = action.split(':');
+        if (kind === 'chord') return arg === 'next' || arg === 'prev';
+        if (kind === 'toggle') return Object.hasOwn(this.engine.layers, arg);
+        if (kind === 'cursor') return Object.hasOwn(CURSOR_DIRECTIONS, arg);
+        return false;
+    }
+}
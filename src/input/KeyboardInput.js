@@ -0,0 +1,192 @@
+/**
+ * KeyboardInput.js
+ * Keyboard performance mode: a full alternative to the pointer.
+ * Arrows move a virtual cursor, Space is the "pressed" state (dragActive),
+ * digits select chords, the home row plays scale degrees on the lead and
+ * E / Alt raise energy / focus while held. A numeric keypad alone is
+ * enough: keypad digits select chords (with Num Lock off, 8/4/6/2 move the
+ * cursor), 0 presses, + and * raise energy / focus.
+ * With Shift held, letter and digit keys fall through to the app hotkeys
+ * (Shift is only a modifier here, so hotkeys don't inject energy).
+ */
+
+import { signals } from '../core/Signals.js';
+import { clock as realtime } from '../core/Clock.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+const CURSOR_SPEED = 0.6;   // screen units per second
+const DEGREE_KEYS = ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK'];
+const CHORD_KEYS = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8'];
+const KEYPAD_CHORD_KEYS = ['Numpad1', 'Numpad2', 'Numpad3', 'Numpad4', 'Numpad5', 'Numpad6', 'Numpad7', 'Numpad8'];
+const PRESS_KEYS = ['Space', 'Numpad0'];
+const ENERGY_KEYS = ['KeyE', 'NumpadAdd'];
+const FOCUS_KEYS = ['AltLeft', 'AltRight', 'NumpadMultiply'];
+const HOLD_KEYS = [...PRESS_KEYS, ...ENERGY_KEYS, ...FOCUS_KEYS];
+const ARROWS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+/* Keypad keys with Num Lock off report arrows in `key`: treat them as arrows */
+function keyCode(e) {
+    return e.code.startsWith('Numpad') && e.key in ARROWS ? e.key : e.code;
+}
+
+export const KEYBOARD_LEGEND = [
+    ['ARROWS', 'MOVE CURSOR'],
+    ['SPACE (HOLD)', 'PRESS / DRAG'],
+    ['1 - 8', 'SELECT CHORD'],
+    ['A S D F G H J K', 'PLAY SCALE DEGREE'],
+    ['E (HOLD)', 'RAISE ENERGY'],
+    ['ALT (HOLD)', 'RAISE FOCUS'],
+    ['SHIFT + KEY', 'APP HOTKEY (S F H D J, 1 - 5 POST)'],
+    ['KEYPAD 1 - 8 / 0 / + / *', 'CHORD / PRESS / ENERGY / FOCUS'],
+    ['KEYPAD ARROWS (NUM LOCK OFF)', 'MOVE CURSOR'],
+    ['`', 'EXIT KEYBOARD MODE']
+];
+
+export class KeyboardInput {
+    constructor({ target = signals, engine = audioEngine, clock = realtime } = {}) {
+        this.target = target;
+        this.clock = clock;
+        this.engine = engine;
+        this.active = false;
+        this.held = new Set();
+        this.cursor = { x: 0.5, y: 0.5 };
+        this.degreeNotes = new Map(); // key code -> sounding MIDI note
+        this.lastTime = this.clock.now();
+    }
+
+    setActive(active) {
+        if (this.active === active) return;
+        this.active = active;
+        if (!active) this.releaseAll();
+        else this.cursor = { ...this.target.params.position };
+    }
+
+    /* @returns {boolean} true when the key belongs to the keyboard mode */
+    handleKeyDown(e) {
+        if (!this.active) return false;
+        const code = keyCode(e);
+
+        if (code in ARROWS || HOLD_KEYS.includes(code)) {
+            e.preventDefault();
+            if (!e.repeat && PRESS_KEYS.includes(code) && !this.pressed()) this.press();
+            this.held.add(code);
+            return true;
+        }
+
+        // Shift + key reaches the app hotkeys that share letters / digits with the performance keys
+        if (e.shiftKey && !code.startsWith('Numpad')) return false;
+
+        const chord = Math.max(CHORD_KEYS.indexOf(code), KEYPAD_CHORD_KEYS.indexOf(code));
+        if (chord !== -1) {
+            if (!e.repeat) this.engine.selectChord(chord);
+            return true;
+        }
+
+        const degree = DEGREE_KEYS.indexOf(code);
+        if (degree !== -1) {
+            if (!e.repeat) this.playDegree(code, degree);
+            return true;
+        }
+
+        return false;
+    }
+
+    handleKeyUp(e) {
+        if (!this.active) return false;
+        const code = keyCode(e);
+        const wasPressed = this.pressed();
+        this.held.delete(code);
+
+        if (PRESS_KEYS.includes(code)) {
+            if (wasPressed && !this.pressed()) this.release();
+            return true;
+        }
+        if (this.degreeNotes.has(code)) {
+            this.engine.noteOff('lead', this.degreeNotes.get(code));
+            this.degreeNotes.delete(code);
+            return true;
+        }
+        return code in ARROWS || HOLD_KEYS.includes(code);
+    }
+
+    pressed() {
+        return PRESS_KEYS.some((code) => this.held.has(code));
+    }
+
+    /* =========================
+     * Actions
+     * ========================= */
+    press() {
+        this.target.perturb('dragActive', 1, true);
+        this.target.perturb('energy', 0.3);
+        this.target.perturb('focus', 0.8);
+        this.target.perturb('resonance', 0.6);
+    }
+
+    release() {
+        this.target.perturb('dragActive', 0, true);
+    }
+
+    playDegree(code, degree) {
+        const { lowNote } = this.engine.leadOptions;
+        const scale = this.engine.harmony.scale(lowNote + 12, lowNote + 24);
+        const midi = scale[Math.min(degree, scale.length - 1)];
+        this.degreeNotes.set(code, midi);
+        this.engine.noteOn('lead', midi, 0.8);
+    }
+
+    releaseAll() {
+        if (this.pressed()) this.release();
+        this.degreeNotes.forEach((midi) => this.engine.noteOff('lead', midi));
+        this.degreeNotes.clear();
+        this.held.clear();
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = this.clock.now()) {
+        const dt = Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+        if (!this.active) return;
+
+        let dx = 0;
+        let dy = 0;
+        for (const code in ARROWS) {
+            if (!this.held.has(code)) continue;
+            dx += ARROWS[code][0];
+            dy += ARROWS[code][1];
+        }
+
+        const pressed = this.pressed();
+        const moving = dx !== 0 || dy !== 0;
+
+        if (moving) {
+            const step = CURSOR_SPEED * dt;
+            this.cursor.x = Math.min(1, Math.max(0, this.cursor.x + dx * step));
+            this.cursor.y = Math.min(1, Math.max(0, this.cursor.y + dy * step));
+            this.target.setCursor(this.cursor.x, this.cursor.y);
+            this.target.perturb('velocity', CURSOR_SPEED / 3);
+            this.target.perturb('energy', step * 2);
+            this.target.perturb('focus', 0.2 + step * 5);
+        }
+
+        if (pressed) {
+            // Holding Space keeps the lead sounding; moving pushes harder
+            this.target.perturb('drag', moving ? 0.6 : 0.3);
+            this.target.perturb('dragForce', moving ? 0.5 : 0.1);
+        }
+
+        if (ENERGY_KEYS.some((code) => this.held.has(code))) {
+            this.target.perturb('energy', dt * 0.8);
+        }
+        if (FOCUS_KEYS.some((code) => this.held.has(code))) {
+            this.target.perturb('focus', Math.min(1, this.target.targets.focus + dt * 0.8));
+        }
+    }
+}
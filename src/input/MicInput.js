@@ -0,0 +1,135 @@
+/**
+ * MicInput.js
+ * Optional audio-input signal source: analyses a live microphone (or an
+ * audio file played through the same path) and writes level, onsets,
+ * spectral centroid and pitch into Signals.
+ */
+
+import * as Tone from 'tone';
+import { signals } from '../core/Signals.js';
+import { FeatureExtractor } from '../audio/analysis.js';
+
+const FRAME_SIZE = 2048;
+const GATE = 0.25;           // normalized level below which the input is ignored
+const CENTROID_MAX = 5000;   // Hz mapped to texture = 1
+const SET_THRESHOLD = 0.01;  // smaller feature changes are not written (keeps takes small)
+const PITCH_EVERY = 4;       // frames per pitch search (main thread; micPitch is smoothed anyway)
+
+export const MIC_SIGNALS = {
+    micLevel: { smoothing: 0.05 },
+    micCentroid: { smoothing: 0.16 },
+    micPitch: { smoothing: 0.075 },
+    micOnset: { smoothing: 0.025, decay: 0.05 }
+};
+
+export class MicInput {
+    constructor({ target = signals } = {}) {
+        this.target = target;
+        this.target.registerAll(MIC_SIGNALS);
+        this.state = 'off'; // off | mic | file
+        this.source = null;
+        this.analyser = null;
+        this.extractor = null;
+        this.features = null;
+        this.written = {};    // feature signal -> last value written
+    }
+
+    ensureAnalyser() {
+        if (this.analyser) return;
+        this.analyser = new Tone.Analyser('waveform', FRAME_SIZE);
+        this.extractor = new FeatureExtractor(Tone.getContext().sampleRate, { pitchEvery: PITCH_EVERY });
+    }
+
+    async startMic() {
+        this.stop();
+        this.ensureAnalyser();
+
+        // Rejects when permission is denied or there is no input device
+        const mic = new Tone.UserMedia();
+        try {
+            await mic.open();
+        } catch (err) {
+            mic.dispose();
+            throw err;
+        }
+        mic.connect(this.analyser);
+        this.source = mic;
+        this.state = 'mic';
+    }
+
+    /**
+     * Plays an audio file through the analyser in real time (and to the
+     * speakers when `audible`), standing in for the microphone.
+     */
+    async useFile(file, { audible = true, loop = true } = {}) {
+        this.stop();
+        this.ensureAnalyser();
+
+        const url = typeof file === 'string' ? file : URL.createObjectURL(file);
+        const player = new Tone.Player({ url, loop });
+        try {
+            await Tone.loaded();
+        } catch (err) {
+            player.dispose();
+            throw err;
+        } finally {
+            // Decoded into the player's buffer; the blob URL is no longer needed
+            if (url !== file) URL.revokeObjectURL(url);
+        }
+        player.connect(this.analyser);
+        if (audible) player.toDestination();
+        player.start();
+        this.source = player;
+        this.state = 'file';
+    }
+
+    stop() {
+        if (!this.source) return;
+        if (this.source instanceof Tone.UserMedia) this.source.close();
+        else this.source.stop();
+        this.source.dispose();
+        this.source = null;
+        this.state = 'off';
+        this.features = null;
+        this.written = {};
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update() {
+        if (this.state === 'off') return;
+        this.apply(this.extractor.process(this.analyser.getValue()));
+    }
+
+    /* Writes one frame of features into Signals (also used for offline analysis) */
+    apply(features) {
+        this.features = features;
+        const t = this.target;
+        const gated = features.level > GATE;
+
+        this.write('micLevel', features.level);
+        this.write('micCentroid', gated ? Math.min(1, features.centroid / CENTROID_MAX) : 0);
+        this.write('micPitch', gated && features.pitch
+            ? Math.min(1, Math.max(0, Math.log2(features.pitch / 55) / 5)) // 55 Hz .. 1760 Hz
+            : 0);
+
+        if (!gated) return;
+
+        // Loudness feeds energy, brightness feeds texture, onsets feed sharpness
+        t.perturb('energy', (features.level - GATE) * 0.03);
+        t.perturb('texture', Math.min(1, features.centroid / CENTROID_MAX));
+        if (features.onset) {
+            t.perturb('micOnset', 1, true);
+            t.perturb('sharpness', 1);
+        }
+    }
+
+    /* Sets a feature signal only on a meaningful change (every write is recorded in takes) */
+    write(key, value) {
+        const last = this.written[key];
+        if (last !== undefined && Math.abs(value - last) < SET_THRESHOLD && (value === 0) === (last === 0)) return;
+        this.written[key] = value;
+        this.target.set(key, value);
+    }
+}
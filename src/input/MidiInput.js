@@ -0,0 +1,224 @@
+/**
+ * MidiInput.js
+ * Maps MIDI controllers onto signals (CC, with MIDI-learn) and notes onto
+ * AudioEngine layers or chord selection. Works with Web MIDI or any source
+ * exposing the same `inputs` shape (see FakeMidiSource).
+ */
+
+import { signals } from '../core/Signals.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+const STORAGE_KEY = 'aura.midiMapping';
+
+/**
+ * Signals a controller can drive: every registered continuous signal with a
+ * finite range (vectors, binary switches and the unbounded drift clock are
+ * left out). Read at call time, as input modules register signals later.
+ * @param {import('../core/Signals.js').Signals} [target]
+ * @returns {string[]}
+ */
+export function learnableParams(target = signals) {
+    return [...target.registry]
+        .filter(([, decl]) => decl.type === 'continuous' && decl.range.every(Number.isFinite))
+        .map(([name]) => name);
+}
+
+export const NOTE_MODES = ['lead', 'pad', 'chord'];
+
+const DEFAULT_MAPPING = {
+    cc: {},          // "channel:cc" -> { param, min, max }
+    noteMode: 'lead' // lead | pad | chord
+};
+
+/* =========================
+ * Fake source (tests / no hardware)
+ * ========================= */
+export class FakeMidiPort {
+    constructor(name = 'Fake MIDI') {
+        this.name = name;
+        this.onmidimessage = null;
+    }
+
+    send(data) {
+        this.onmidimessage?.({ data: Uint8Array.from(data) });
+    }
+}
+
+export class FakeMidiSource {
+    constructor(ports = [new FakeMidiPort()]) {
+        this.inputs = new Map(ports.map((port, i) => [`fake-${i}`, port]));
+        this.onstatechange = null;
+    }
+
+    get port() {
+        return this.inputs.values().next().value;
+    }
+}
+
+/* =========================
+ * MIDI input
+ * ========================= */
+export class MidiInput {
+    constructor({ target = signals, engine = audioEngine, storage = globalThis.localStorage } = {}) {
+        this.target = target;
+        this.engine = engine;
+        this.storage = storage;
+        this.source = null;
+        this.learnParam = null;
+        this.onchange = null; // UI hook: called after learn / mapping changes
+        this.mapping = this.load() ?? structuredClone(DEFAULT_MAPPING);
+    }
+
+    /**
+     * @param {object} [source] Web MIDI access or a FakeMidiSource; requests
+     *                          Web MIDI when omitted.
+     */
+    async connect(source) {
+        if (!source) {
+            if (!navigator.requestMIDIAccess) throw new Error('Web MIDI is not available');
+            source = await navigator.requestMIDIAccess();
+        }
+
+        this.source = source;
+        this.bindPorts();
+        source.onstatechange = () => this.bindPorts();
+        return this;
+    }
+
+    bindPorts() {
+        for (const port of this.source.inputs.values()) {
+            port.onmidimessage = (e) => this.handleMessage(e.data);
+        }
+    }
+
+    handleMessage(data) {
+        const status = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        if (status === 0xb0) {
+            this.handleControl(channel, data[1], data[2]);
+        } else if (status === 0x90 && data[2] > 0) {
+            this.handleNoteOn(data[1], data[2] / 127);
+        } else if (status === 0x80 || status === 0x90) {
+            this.handleNoteOff(data[1]);
+        }
+    }
+
+    handleControl(channel, cc, value) {
+        const id = `${channel}:${cc}`;
+
+        if (this.learnParam) {
+            // A control drives a single param: drop its previous binding
+            for (const key in this.mapping.cc) {
+                if (this.mapping.cc[key].param === this.learnParam) delete this.mapping.cc[key];
+            }
+            this.mapping.cc[id] = { param: this.learnParam, min: 0, max: 1 };
+            this.learnParam = null;
+            this.save();
+            this.onchange?.();
+        }
+
+        const route = this.mapping.cc[id];
+        if (!route || !this.target.has(route.param)) return; // param's module not loaded (yet)
+        this.target.set(route.param, route.min + (value / 127) * (route.max - route.min));
+    }
+
+    handleNoteOn(note, velocity) {
+        const mode = this.mapping.noteMode;
+        if (mode === 'chord') {
+            this.engine.selectChord(note % 12);
+        } else {
+            this.engine.noteOn(mode, note, velocity);
+        }
+    }
+
+    handleNoteOff(note) {
+        const mode = this.mapping.noteMode;
+        if (mode !== 'chord') this.engine.noteOff(mode, note);
+    }
+
+    /* =========================
+     * Mapping / MIDI-learn
+     * ========================= */
+    learn(param) {
+        if (param !== null && !learnableParams(this.target).includes(param)) {
+            throw new Error(`"${param}" is not a learnable signal`);
+        }
+        this.learnParam = param;
+        this.onchange?.();
+    }
+
+    map(channel, cc, param, min = 0, max = 1) {
+        this.validateRoute(`${channel}:${cc}`, { param, min, max });
+        this.mapping.cc[`${channel}:${cc}`] = { param, min, max };
+        this.save();
+    }
+
+    setNoteMode(mode) {
+        if (!NOTE_MODES.includes(mode)) throw new Error(`Unknown note mode "${mode}"`);
+        this.mapping.noteMode = mode;
+        this.save();
+        this.onchange?.();
+    }
+
+    save() {
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.mapping));
+    }
+
+    /**
+     * Stored mapping from a previous session. Routes to signals that are not
+     * registered yet are kept (their input module may load later) and skipped
+     * until then; malformed routes are dropped.
+     */
+    load() {
+        const json = this.storage?.getItem(STORAGE_KEY);
+        if (!json) return null;
+        try {
+            const mapping = this.parseMapping(json);
+            for (const id in mapping.cc) {
+                try {
+                    this.validateRoute(id, mapping.cc[id], { requireRegistered: false });
+                } catch (err) {
+                    console.warn('[MidiInput] Dropping stored route.', err.message);
+                    delete mapping.cc[id];
+                }
+            }
+            return mapping;
+        } catch (err) {
+            console.warn('[MidiInput] Ignoring corrupt stored mapping.', err);
+            return null;
+        }
+    }
+
+    parseMapping(json) {
+        const mapping = { ...structuredClone(DEFAULT_MAPPING), ...JSON.parse(json) };
+        if (!NOTE_MODES.includes(mapping.noteMode)) throw new Error(`Unknown note mode "${mapping.noteMode}"`);
+        if (typeof mapping.cc !== 'object' || mapping.cc === null) throw new Error('Mapping "cc" must be an object');
+        return mapping;
+    }
+
+    /* Throws unless `route` drives a learnable signal from a "channel:cc" id */
+    validateRoute(id, route, { requireRegistered = true } = {}) {
+        if (!/^\d+:\d+$/.test(id)) throw new Error(`Bad control id "${id}"`);
+        const { param, min, max } = route ?? {};
+        if (!Number.isFinite(min) || !Number.isFinite(max)) throw new Error(`Route ${id}: min/max must be numbers`);
+        if (!this.target.has(param)) {
+            if (requireRegistered || typeof param !== 'string') throw new Error(`Route ${id}: unknown signal "${param}"`);
+            return;
+        }
+        if (!learnableParams(this.target).includes(param)) throw new Error(`Route ${id}: "${param}" is not learnable`);
+    }
+
+    exportMapping() {
+        return JSON.stringify(this.mapping, null, 2);
+    }
+
+    /* Replaces the mapping; throws (leaving the current one) if any route is invalid */
+    importMapping(json) {
+        const mapping = this.parseMapping(json);
+        for (const id in mapping.cc) this.validateRoute(id, mapping.cc[id]);
+        this.mapping = mapping;
+        this.save();
+        this.onchange?.();
+    }
+}
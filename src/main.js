@@ -4,25 +4,354 @@
  */
 
 import { signals } from './core/Signals.js';
+import { clock } from './core/Clock.js';
+import { modulation } from './core/Modulation.js';
 import { Interaction } from './core/Interaction.js';
+import { recorder } from './core/Recorder.js';
+import { random } from './core/Random.js';
 import { audioEngine } from './audio/AudioEngine.js';
+import { bounceToWAV } from './audio/Bounce.js';
+import { MasterCapture } from './audio/MasterCapture.js';
+import { PROGRESSIONS } from './audio/progressions.js';
+import { MidiInput, learnableParams, NOTE_MODES } from './input/MidiInput.js';
+import { OscBridge } from './net/OscBridge.js';
+import { KeyboardInput, KEYBOARD_LEGEND } from './input/KeyboardInput.js';
+import { GamepadInput } from './input/GamepadInput.js';
+import { MicInput } from './input/MicInput.js';
+import { downloadBlob } from './core/download.js';
+import { PresetManager, PRESET_FORMAT } from './core/Presets.js';
+import { SceneManager } from './core/Scenes.js';
 import { Renderer } from './visuals/Renderer.js';
+import { Inspector } from './visuals/Inspector.js';
+import { POST_PASSES } from './visuals/PostProcessing.js';
+import { QUALITY_TIERS } from './visuals/quality.js';
+import { QualityGovernor } from './visuals/QualityGovernor.js';
+
+const PRESET_FADE = 4; // seconds
 
 class App {
     constructor() {
-        this.renderer = new Renderer('gl-canvas');
+        // ?particles=<count> sets the GPU particle budget (capped in ParticleField.js)
+        const particleParam = Number(new URLSearchParams(location.search).get('particles'));
+        this.renderer = new Renderer('gl-canvas', { particleBudget: particleParam > 0 ? particleParam : undefined });
+        this.renderer.connectMusic(audioEngine.events);
+        this.presets = new PresetManager({ renderer: this.renderer });
+        this.presetLabel = document.getElementById('preset-status');
+        this.scenes = new SceneManager({ renderer: this.renderer });
+        this.sceneLabel = document.getElementById('scene-status');
+
+        // ?scene=<name> opens in a given scene (applied once audio starts)
+        const sceneParam = new URLSearchParams(location.search).get('scene');
+        if (sceneParam && Object.hasOwn(this.scenes.scenes, sceneParam)) this.scenes.go(sceneParam);
+
+        // #preset=<...> shares a preset by link (applied once audio starts)
+        try {
+            const shared = this.presets.fromFragment();
+            if (shared) this.presets.apply(shared);
+        } catch (err) {
+            console.warn('Ignoring invalid preset link.', err);
+        }
         this.interaction = null;
         this.statusLabel = document.getElementById('interaction-status');
         this.startScreen = document.getElementById('start-screen');
+        this.takeLabel = document.getElementById('take-status');
+        this.captureLabel = document.getElementById('capture-status');
+        this.capture = new MasterCapture(audioEngine);
+        this.captureError = null; // shown in the capture label until the next toggle
+        this.midiLabel = document.getElementById('midi-status');
+        this.midi = new MidiInput();
+        this.midiConnected = false;
+        this.oscLabel = document.getElementById('osc-status');
+
+        // ?osc=<ws url> connects the OSC bridge on load
+        const oscParam = new URLSearchParams(location.search).get('osc');
+        this.osc = new OscBridge(oscParam ? { url: oscParam } : {});
+        if (oscParam) this.osc.connect();
+        document.getElementById('seed-status').innerText = `SEED // ${random.seed}`;
+
+        // Overlay follows the music in sync with what is heard
+        this.chordLabel = document.getElementById('chord-status');
+        audioEngine.events.on('chord', ({ name }) => { this.chordLabel.innerText = `CHORD // ${name}`; });
+        audioEngine.events.on('grain', () => this.flashLabel(this.chordLabel));
+        audioEngine.events.on('leadAttack', () => this.flashLabel(this.chordLabel));
+        this.keyboard = new KeyboardInput();
+        this.gamepad = new GamepadInput();
+        this.gamepadLabel = document.getElementById('gamepad-status');
+        this.mic = new MicInput();
+        this.micLabel = document.getElementById('mic-status');
+        this.micError = null; // shown in the mic label until the next toggle
+        this.legend = document.getElementById('keyboard-legend');
+        this.legend.innerHTML = KEYBOARD_LEGEND
+            .map(([keys, action]) => `<span>${keys}</span><span>${action}</span>`)
+            .join('');
+        this.inspector = new Inspector(document.getElementById('inspector'));
+        this.postLabel = document.getElementById('post-status');
+        this.governor = new QualityGovernor(this.renderer);
+        this.qualityLabel = document.getElementById('quality-status');
+        this.liveInput = true;
         this.audioFaulted = false;
+        modulation.onFault = (group, err) => {
+            if (group === 'audio') this.setAudioFaulted(err);
+            else console.error(`Modulation group "${group}" failed and was disabled.`, err);
+        };
         
         this.initialized = false;
+        this.bouncing = false;
         this.initEventListeners();
         this.loop();
+
+        // ?bounce=<seconds> renders offline on load, ?take=<url> bounces a saved take
+        // (headless reference renders, see scripts/bounce.mjs)
+        const bounceParam = new URLSearchParams(location.search).get('bounce');
+        const takeParam = new URLSearchParams(location.search).get('take');
+        if (bounceParam !== null) this.bounce(Number(bounceParam) || undefined, takeParam);
     }
 
     initEventListeners() {
         this.startScreen.addEventListener('click', () => this.initialize());
+        this.startScreen.addEventListener('keydown', (e) => {
+            if (!['Enter', 'NumpadEnter', 'Space'].includes(e.code)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            // Starting from the keyboard implies keyboard performance
+            this.setKeyboardMode(true);
+            this.initialize();
+        });
+        this.startScreen.focus();
+        window.addEventListener('keydown', (e) => this.handleKey(e));
+        window.addEventListener('keyup', (e) => this.keyboard.handleKeyUp(e));
+        window.addEventListener('blur', () => this.keyboard.releaseAll());
+
+        // Drop a saved take or preset (.json) anywhere to load it
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => this.handleDrop(e));
+    }
+
+    handleKey(e) {
+        // Keyboard performance is live input: muted with it (I key), like gamepad and mic
+        if (this.liveInput && this.keyboard.handleKeyDown(e)) return;
+        if (e.repeat) return;
+
+        // Shift+N toggles the N-th post-processing pass (N = 1..POST_PASSES.length)
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        const pass = digit ? Number(digit[1]) - 1 : -1;
+        if (e.shiftKey && pass >= 0 && pass < POST_PASSES.length) {
+            this.renderer.post.toggle(POST_PASSES[pass]);
+            return;
+        }
+
+        switch (e.code) {
+            case 'Backquote':
+                this.setKeyboardMode(!this.keyboard.active);
+                break;
+            case 'KeyR':
+                if (recorder.state === 'recording') recorder.stopRecording();
+                else recorder.startRecording();
+                break;
+            case 'KeyP':
+                if (recorder.state === 'playing') recorder.stop();
+                else recorder.play();
+                break;
+            case 'KeyL':
+                recorder.setLoop(!recorder.loop);
+                break;
+            case 'BracketLeft':
+                recorder.setSpeed(recorder.speed / 2);
+                break;
+            case 'BracketRight':
+                recorder.setSpeed(recorder.speed * 2);
+                break;
+            case 'KeyS':
+                recorder.download();
+                break;
+            case 'KeyB':
+                this.bounce();
+                break;
+            case 'KeyC':
+                this.toggleCapture().catch((err) => {
+                    this.captureError = err.message || err.name || 'FAILED';
+                    console.error('Master capture failed.', err);
+                });
+                break;
+            case 'KeyX':
+                this.toggleNoteLog();
+                break;
+            case 'KeyH':
+                this.cycleProgression();
+                break;
+            case 'KeyF':
+                audioEngine.setLeadOptions({ quantize: !audioEngine.leadOptions.quantize });
+                break;
+            case 'KeyM': {
+                // Cycle MIDI-learn target: off -> energy -> focus -> ... -> off
+                const params = learnableParams();
+                const next = params.indexOf(this.midi.learnParam) + 1;
+                this.midi.learn(params[next] ?? null);
+                break;
+            }
+            case 'KeyN': {
+                const next = (NOTE_MODES.indexOf(this.midi.mapping.noteMode) + 1) % NOTE_MODES.length;
+                this.midi.setNoteMode(NOTE_MODES[next]);
+                break;
+            }
+            case 'KeyV':
+                this.toggleMic();
+                break;
+            case 'KeyO':
+                if (this.osc.state === 'off') this.osc.connect();
+                else this.osc.disconnect();
+                break;
+            case 'KeyU':
+                if (e.shiftKey) this.presets.save(`preset-${this.presets.names().length}`);
+                else this.cyclePreset();
+                break;
+            case 'KeyY':
+                if (e.shiftKey) this.sharePreset();
+                else this.presets.download();
+                break;
+            case 'KeyT':
+                this.scenes.next(e.shiftKey ? -1 : 1);
+                break;
+            case 'KeyJ':
+                this.scenes.setAuto(!this.scenes.auto);
+                break;
+            case 'KeyQ': {
+                // Cycle quality: auto -> minimal -> ... -> high -> auto
+                const next = QUALITY_TIERS.indexOf(this.governor.override) + 1;
+                this.governor.setOverride(QUALITY_TIERS[next] ?? null);
+                break;
+            }
+            case 'KeyD':
+                this.inspector.toggle();
+                break;
+            case 'KeyI':
+                this.liveInput = !this.liveInput;
+                this.interaction?.setEnabled(this.liveInput);
+                if (!this.liveInput) {
+                    this.keyboard.releaseAll();
+                    this.gamepad.releaseAll();
+                }
+                break;
+        }
+    }
+
+    setKeyboardMode(active) {
+        this.keyboard.setActive(active);
+        this.legend.classList.toggle('hidden', !active);
+    }
+
+    cycleProgression() {
+        const names = Object.keys(PROGRESSIONS);
+        const current = names.indexOf(audioEngine.harmony.progression.name);
+        audioEngine.setProgression(PROGRESSIONS[names[(current + 1) % names.length]]);
+    }
+
+    cyclePreset() {
+        const names = this.presets.names();
+        if (names.length === 0) return;
+        const next = names[(names.indexOf(this.presets.current) + 1) % names.length];
+        this.presets.apply(this.presets.get(next), { fade: PRESET_FADE });
+    }
+
+    /* Puts the current preset in the URL fragment and copies the link */
+    sharePreset() {
+        history.replaceState(null, '', this.presets.toFragment());
+        navigator.clipboard?.writeText(location.href)
+            .catch((err) => console.warn('Could not copy preset link.', err));
+    }
+
+    async bounce(duration, takeUrl = null) {
+        if (this.bouncing) return;
+        this.bouncing = true;
+        document.title = 'AURA // BOUNCING';
+
+        try {
+            if (takeUrl) {
+                const response = await fetch(takeUrl);
+                if (!response.ok) throw new Error(`Could not fetch take (${response.status})`);
+                recorder.load(await response.json());
+            }
+            const wav = await bounceToWAV({ take: recorder.take, duration, seed: random.seed });
+            downloadBlob(wav, `aura-bounce-${random.seed}.wav`);
+            document.title = 'AURA // BOUNCE_DONE';
+        } catch (err) {
+            document.title = 'AURA // BOUNCE_FAILED';
+            console.error('Offline bounce failed.', err);
+        } finally {
+            this.bouncing = false;
+        }
+    }
+
+    async toggleCapture() {
+        this.captureError = null;
+        if (this.capture.state === 'starting') return; // still connecting
+        if (this.capture.state === 'idle') {
+            await this.capture.start();
+            return;
+        }
+
+        const result = await this.capture.stop();
+        if (!result) return;
+
+        const stamp = Date.now();
+        downloadBlob(result.wav, `aura-live-${stamp}.wav`);
+        if (result.compressed) {
+            const ext = result.compressed.type.includes('ogg') ? 'ogg' : 'webm';
+            downloadBlob(result.compressed, `aura-live-${stamp}.${ext}`);
+        }
+    }
+
+    toggleNoteLog() {
+        if (!audioEngine.noteLog.recording) {
+            audioEngine.startNoteLog();
+            return;
+        }
+        const smf = audioEngine.stopNoteLog();
+        if (smf) downloadBlob(smf, `aura-notes-${Date.now()}.mid`);
+    }
+
+    async toggleMic() {
+        this.micError = null;
+        if (this.mic.state !== 'off') {
+            this.mic.stop();
+            return;
+        }
+        try {
+            await this.mic.startMic();
+        } catch (err) {
+            this.micError = err.message || err.name || 'UNAVAILABLE';
+            console.warn('Microphone unavailable.', err);
+        }
+    }
+
+    async handleDrop(e) {
+        e.preventDefault();
+        const file = e.dataTransfer?.files?.[0];
+        if (!file) return;
+
+        // Audio files stand in for the microphone
+        if (file.type.startsWith('audio/')) {
+            this.micError = null;
+            try {
+                if (!this.initialized) await this.initialize();
+                await this.mic.useFile(file);
+            } catch (err) {
+                this.micError = err.message || err.name || 'FILE FAILED';
+                console.error('Could not play dropped audio file.', err);
+            }
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await file.text());
+            if (data?.format === PRESET_FORMAT) {
+                this.presets.apply(this.presets.import(data), { fade: PRESET_FADE });
+            } else {
+                recorder.load(data);
+            }
+        } catch (err) {
+            console.error('Could not load dropped file.', err);
+        }
     }
 
     async initialize() {
@@ -30,34 +359,79 @@ class App {
         
         this.startScreen.classList.add('hidden');
         await audioEngine.init();
+        this.presets.captureFactory();
+        this.presets.applyPending();
+        this.scenes.applyPending();
         
-        this.interaction = new Interaction();
+        this.interaction = new Interaction({ picker: this.renderer.picker });
+        this.interaction.setEnabled(this.liveInput);
         this.initialized = true;
+
+        this.midi.connect()
+            .then(() => { this.midiConnected = true; })
+            .catch((err) => console.warn('MIDI unavailable.', err.message));
     }
 
     loop() {
+        // One timestamp per frame, shared by every time-dependent module
+        const now = clock.now();
+
+        // 0. Replay recorded input (if a take is playing)
+        recorder.update(now);
+
+        // 0b. Keyboard performance and gamepad (polled every frame)
+        if (this.liveInput) this.keyboard.update(now);
+        if (this.liveInput) this.gamepad.update(now);
+        if (this.liveInput) this.mic.update();
+
+        // 0c. Preset and scene crossfades (scene timer / twist gesture)
+        if (this.initialized) {
+            this.presets.update(now);
+            this.scenes.update(now);
+        }
+
         // 1. Update Signals (Smoothing & Inertia)
-        signals.update();
+        signals.update(now);
         
         // 2. Update Audio (Modulation)
         if (!this.audioFaulted) {
             try {
                 audioEngine.update();
             } catch (err) {
-                this.audioFaulted = true;
-                console.error('Audio update failed; visuals continue.', err);
+                this.setAudioFaulted(err);
             }
         }
         
-        // 3. Render Visuals
-        this.renderer.draw();
+        // 3. Modulation matrix (signals / LFOs / audio followers -> audio & visual params);
+        //    a throwing audio destination faults audio like the engine update does
+        const audioFrame = this.audioFaulted ? undefined : audioEngine.analysis.update(now);
+        modulation.update(now, audioFrame);
+
+        // 4. Render Visuals (pulsing with the master-bus analysis), quality follows frame time
+        this.governor.update(now);
+        this.renderer.draw(audioFrame);
         
-        // 4. Update UI labels
+        // 5. Update UI labels and the inspector HUD
         this.updateUI();
+        this.inspector.update(now);
         
         requestAnimationFrame(() => this.loop());
     }
 
+    /* Stops driving audio (engine update and audio modulation); visuals continue */
+    setAudioFaulted(err) {
+        this.audioFaulted = true;
+        modulation.setGroupEnabled('audio', false);
+        console.error('Audio update failed; visuals continue.', err);
+    }
+
+    /* Restarts the CSS flash animation on an overlay label */
+    flashLabel(label) {
+        label.classList.remove('flash');
+        void label.offsetWidth; // force reflow so the animation replays
+        label.classList.add('flash');
+    }
+
     updateUI() {
         const energy = signals.params.energy;
         let state = 'IDLE_BIAS';
@@ -65,6 +439,47 @@ class App {
         else if (energy > 0.2) state = 'INTERACTION_BIAS';
         
         this.statusLabel.innerText = `${state} // E:${energy.toFixed(2)}`;
+
+        this.captureLabel.innerText = (this.captureError
+            ? `CAPTURE // ERROR ${this.captureError.toUpperCase()}`
+            : `CAPTURE // ${this.capture.state.toUpperCase()}`) +
+            (audioEngine.noteLog.recording ? ` // MIDI_LOG ${audioEngine.noteLog.events.length}` : '');
+
+        if (!this.midiConnected) this.midiLabel.innerText = 'MIDI // OFF';
+        else if (this.midi.learnParam) this.midiLabel.innerText = `MIDI // LEARN ${this.midi.learnParam}`;
+        else this.midiLabel.innerText = `MIDI // NOTES:${this.midi.mapping.noteMode}`;
+
+        this.oscLabel.innerText = `OSC // ${this.osc.state.toUpperCase()}`;
+
+        this.presetLabel.innerText = `PRESET // ${(this.presets.current ?? 'default').toUpperCase()}` +
+            (this.presets.fade ? ' // FADE' : '');
+
+        this.sceneLabel.innerText = `SCENE // ${this.scenes.current.toUpperCase()}` +
+            (this.scenes.fade ? ' // FADE' : '') + (this.scenes.auto ? ' // AUTO' : '');
+
+        const passes = POST_PASSES.filter((name) => this.renderer.post.isEnabled(name));
+        this.postLabel.innerText = `POST // ${passes.length ? passes.join(' ').toUpperCase() : 'OFF'}`;
+
+        this.qualityLabel.innerText = `QUALITY // ${this.governor.tier.toUpperCase()} // ` +
+            `${this.governor.override ? 'MANUAL' : 'AUTO'} ${Math.round(this.governor.fps)}FPS`;
+
+        this.gamepadLabel.innerText = `GAMEPAD // ${this.gamepad.connected ? 'ACTIVE' : 'NONE'}`;
+
+        const micFeatures = this.mic.features;
+        this.micLabel.innerText = this.mic.state === 'off'
+            ? `INPUT // ${this.micError ? `ERROR ${this.micError.toUpperCase()}` : 'OFF'}`
+            : `INPUT // ${this.mic.state.toUpperCase()} L:${(micFeatures?.level ?? 0).toFixed(2)}` +
+              (micFeatures?.pitch ? ` ${Math.round(micFeatures.pitch)}HZ` : '');
+
+        const take = recorder.take;
+        const flags = `${recorder.loop ? 'LOOP' : 'ONCE'} x${recorder.speed}${this.liveInput ? '' : ' // LIVE_OFF'}`;
+        if (recorder.state === 'recording') {
+            this.takeLabel.innerText = `TAKE // REC ${take.events.length}`;
+        } else if (recorder.state === 'playing') {
+            this.takeLabel.innerText = `TAKE // PLAY ${recorder.playhead.toFixed(1)}/${take.duration.toFixed(1)}s ${flags}`;
+        } else {
+            this.takeLabel.innerText = take ? `TAKE // ${take.duration.toFixed(1)}s ${flags}` : `TAKE // EMPTY ${flags}`;
+        }
     }
 }
 
@@ -0,0 +1,178 @@
+/**
+ * OscBridge.js
+ * OSC-over-WebSocket bridge: streams signals.params out at a fixed rate and
+ * routes incoming messages to Signals / AudioEngine. Pair with
+ * scripts/osc-relay.mjs to reach UDP OSC hosts (TouchDesigner, Max).
+ *
+ * Incoming addresses:
+ *   /aura/perturb <key:s> <value:f> [force:i]
+ *   /aura/set     <key:s> <value:f>
+ *   /aura/cursor  <x:f> <y:f>
+ *   /aura/engine/progression <name:s>
+ *   /aura/engine/chord       <index:i>
+ *   /aura/engine/lead/quantize <on:i>
+ *   /aura/mod/route  <id:s> <source:s> <destination:s> <amount:f> [offset:f] [smoothing:f]
+ *   /aura/mod/amount <id:s> <amount:f>
+ *   /aura/mod/remove <id:s>
+ *
+ * Outgoing (one bundle per tick):
+ *   /aura/param/<key> <value:f>   /aura/param/position <x:f> <y:f>
+ */
+
+import { signals } from '../core/Signals.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+import { modulation } from '../core/Modulation.js';
+import { PROGRESSIONS } from '../audio/progressions.js';
+import { decode, encodeBundle } from './osc.js';
+
+const RECONNECT_DELAY = 2000;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export class OscBridge {
+    constructor({
+        url = 'ws://localhost:8081',
+        rate = 30,
+        target = signals,
+        engine = audioEngine,
+        matrix = modulation
+    } = {}) {
+        this.url = url;
+        this.rate = rate;
+        this.target = target;
+        this.engine = engine;
+        this.matrix = matrix;
+        this.socket = null;
+        this.state = 'off'; // off | connecting | open
+        this.timer = null;
+        this.retry = null;
+        this.routes = new Map();
+
+        this.initRoutes();
+    }
+
+    initRoutes() {
+        this.route('/aura/perturb', (key, value, force = 0) => {
+            if (this.isScalar(key) && isNumber(value)) this.target.perturb(key, value, Boolean(force));
+        });
+        this.route('/aura/set', (key, value) => {
+            if (this.isScalar(key) && isNumber(value)) this.target.set(key, value);
+        });
+        this.route('/aura/cursor', (x, y) => {
+            if (isNumber(x) && isNumber(y)) this.target.setCursor(x, y);
+        });
+        this.route('/aura/engine/progression', (name) => {
+            if (PROGRESSIONS[name]) this.engine.setProgression(PROGRESSIONS[name]);
+        });
+        this.route('/aura/engine/chord', (index) => {
+            if (!Number.isFinite(index)) return;
+            const last = this.engine.harmony.chords.length - 1;
+            this.engine.selectChord(Math.min(last, Math.max(0, Math.round(index))));
+        });
+        this.route('/aura/engine/lead/quantize', (on) => this.engine.setLeadOptions({ quantize: Boolean(on) }));
+        this.route('/aura/mod/route', (id, source, destination, amount, offset = 0, smoothing = 0) => {
+            this.matrix.addRoute({ source, destination, amount, offset, smoothing }, id);
+        });
+        this.route('/aura/mod/amount', (id, amount) => {
+            if (this.matrix.routes.has(id)) this.matrix.updateRoute(id, { amount });
+        });
+        this.route('/aura/mod/remove', (id) => this.matrix.removeRoute(id));
+    }
+
+    /* Registered non-vector signal (vectors are written through /aura/cursor) */
+    isScalar(key) {
+        return this.target.has(key) && this.target.declaration(key).type !== 'vector';
+    }
+
+    /* Registers (or replaces) the handler for an OSC address */
+    route(address, handler) {
+        this.routes.set(address, handler);
+    }
+
+    /* =========================
+     * Connection
+     * ========================= */
+    connect(url = this.url) {
+        this.url = url;
+        this.closing = false;
+        this.state = 'connecting';
+
+        const socket = new WebSocket(url);
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => {
+            this.state = 'open';
+            this.startTelemetry();
+        };
+        socket.onmessage = (e) => this.receive(e.data);
+        socket.onclose = () => {
+            this.stopTelemetry();
+            this.socket = null;
+            if (this.closing) {
+                this.state = 'off';
+            } else {
+                this.state = 'connecting';
+                this.retry = setTimeout(() => this.connect(), RECONNECT_DELAY);
+            }
+        };
+        this.socket = socket;
+    }
+
+    disconnect() {
+        this.closing = true;
+        clearTimeout(this.retry);
+        if (this.socket) this.socket.close();
+        else this.state = 'off';
+    }
+
+    /* =========================
+     * Incoming
+     * ========================= */
+    receive(data) {
+        if (typeof data === 'string') return; // relay status text
+        let messages;
+        try {
+            messages = decode(data);
+        } catch (err) {
+            console.warn('[OscBridge] Dropping malformed packet.', err.message);
+            return;
+        }
+        messages.forEach(({ address, args }) => {
+            try {
+                this.routes.get(address)?.(...args);
+            } catch (err) {
+                console.warn(`[OscBridge] Dropping ${address}.`, err.message);
+            }
+        });
+    }
+
+    /* =========================
+     * Outgoing telemetry
+     * ========================= */
+    startTelemetry() {
+        this.stopTelemetry();
+        this.timer = setInterval(() => this.sendParams(), 1000 / this.rate);
+    }
+
+    stopTelemetry() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    sendParams() {
+        if (this.socket?.readyState !== WebSocket.OPEN) return;
+
+        const messages = [];
+        for (const key in this.target.params) {
+            const value = this.target.params[key];
+            if (key === 'position') {
+                messages.push({
+                    address: '/aura/param/position',
+                    args: [{ type: 'f', value: value.x }, { type: 'f', value: value.y }]
+                });
+            } else if (typeof value === 'number') {
+                messages.push({ address: `/aura/param/${key}`, args: [{ type: 'f', value }] });
+            }
+        }
+        this.socket.send(encodeBundle(messages));
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * osc.js
+ * Minimal OSC 1.0 encoder/decoder (messages and bundles) for binary
+ * WebSocket frames. Supports i, f, s, T, F argument types.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function padded(length) {
+    return (length + 4) & ~3; // includes at least one null terminator
+}
+
+function writeString(bytes, offset, str) {
+    const encoded = textEncoder.encode(str);
+    bytes.set(encoded, offset);
+    return offset + padded(encoded.length);
+}
+
+function readString(view, offset) {
+    let end = offset;
+    while (view.getUint8(end) !== 0) end++;
+    const str = textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+    return [str, offset + padded(end - offset)];
+}
+
+function typeOf(arg) {
+    if (typeof arg === 'boolean') return arg ? 'T' : 'F';
+    if (typeof arg === 'string') return 's';
+    if (typeof arg === 'object' && arg?.type) return arg.type; // explicit { type, value }
+    return Number.isInteger(arg) ? 'i' : 'f';
+}
+
+/* =========================
+ * Encoding
+ * ========================= */
+export function encodeMessage(address, args = []) {
+    const types = `,${args.map(typeOf).join('')}`;
+    let size = padded(textEncoder.encode(address).length) + padded(types.length);
+    args.forEach((arg, i) => {
+        const type = types[i + 1];
+        if (type === 'i' || type === 'f') size += 4;
+        else if (type === 's') size += padded(textEncoder.encode(arg?.value ?? arg).length);
+    });
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = writeString(bytes, 0, address);
+    offset = writeString(bytes, offset, types);
+    args.forEach((arg, i) => {
+        const value = arg?.value ?? arg;
+        switch (types[i + 1]) {
+            case 'i': view.setInt32(offset, value); offset += 4; break;
+            case 'f': view.setFloat32(offset, value); offset += 4; break;
+            case 's': offset = writeString(bytes, offset, value); break;
+        }
+    });
+    return bytes;
+}
+
+export function encodeBundle(messages, timetag = 1) {
+    const elements = messages.map(({ address, args }) => encodeMessage(address, args));
+    const size = 16 + elements.reduce((sum, el) => sum + 4 + el.length, 0);
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = writeString(bytes, 0, '#bundle');
+    view.setUint32(offset, Math.floor(timetag / 4294967296)); // NTP seconds (1 = immediately)
+    view.setUint32(offset + 4, timetag >>> 0);
+    offset += 8;
+    elements.forEach((el) => {
+        view.setUint32(offset, el.length);
+        bytes.set(el, offset + 4);
+        offset += 4 + el.length;
+    });
+    return bytes;
+}
+
+/* =========================
+ * Decoding
+ * ========================= */
+
+/** @returns {{ address: string, args: any[] }[]} flattened messages */
+export function decode(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return decodePacket(view, 0, bytes.byteLength);
+}
+
+function decodePacket(view, start, end) {
+    const [head, afterHead] = readString(view, start);
+
+    if (head === '#bundle') {
+        const messages = [];
+        let offset = afterHead + 8; // skip timetag
+        while (offset < end) {
+            const size = view.getUint32(offset);
+            messages.push(...decodePacket(view, offset + 4, offset + 4 + size));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+
+    if (!head.startsWith('/')) throw new Error(`Invalid OSC address "${head}"`);
+
+    const [types, afterTypes] = readString(view, afterHead);
+    const args = [];
+    let offset = afterTypes;
+    for (const type of types.slice(1)) {
+        switch (type) {
+            case 'i': args.push(view.getInt32(offset)); offset += 4; break;
+            case 'f': args.push(view.getFloat32(offset)); offset += 4; break;
+            case 's': {
+                const [str, next] = readString(view, offset);
+                args.push(str);
+                offset = next;
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            default: throw new Error(`Unsupported OSC type tag "${type}"`);
+        }
+    }
+    return [{ address: head, args }];
+}
@@ -0,0 +1,161 @@
+/**
+ * Inspector.js
+ * Debug HUD: scrolling graphs of every signal param (solid) against its
+ * raw target (dim), plus chord, transport position, active voices, frame
+ * time and audio context state. Samples only while visible.
+ */
+
+import { signals } from '../core/Signals.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+const HISTORY = 180;     // frames per graph
+const ROW_HEIGHT = 18;   // css px
+const LABEL_WIDTH = 84;  // css px
+const GRAPH_WIDTH = 180; // css px
+
+export class Inspector {
+    constructor(root, { target = signals, engine = audioEngine } = {}) {
+        this.root = root;
+        this.info = root.querySelector('.inspector-info');
+        this.canvas = root.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.target = target;
+        this.engine = engine;
+        this.visible = false;
+        this.history = new Map(); // row -> { params: Float32Array, targets: Float32Array }
+        this.head = 0;
+        this.frameTimes = new Float32Array(60);
+        this.lastFrame = performance.now();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.root.classList.toggle('hidden', !this.visible);
+        if (this.visible) {
+            this.history.clear();
+            this.head = 0;
+        }
+    }
+
+    /* Scalar rows; vectors are split into .x / .y */
+    rows() {
+        const rows = [];
+        for (const [name, decl] of this.target.registry) {
+            if (decl.type === 'vector') {
+                rows.push({ name: `${name}.x`, read: (src) => src[name].x, range: decl.range });
+                rows.push({ name: `${name}.y`, read: (src) => src[name].y, range: decl.range });
+            } else {
+                rows.push({ name, read: (src) => src[name], range: decl.range });
+            }
+        }
+        return rows;
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now = performance.now()) {
+        this.frameTimes[this.head % this.frameTimes.length] = now - this.lastFrame;
+        this.lastFrame = now;
+        if (!this.visible) {
+            this.head++;
+            return;
+        }
+
+        const rows = this.rows();
+        const slot = this.head % HISTORY;
+        for (const row of rows) {
+            if (!this.history.has(row.name)) {
+                this.history.set(row.name, { params: new Float32Array(HISTORY), targets: new Float32Array(HISTORY) });
+            }
+            const h = this.history.get(row.name);
+            h.params[slot] = row.read(this.target.params);
+            h.targets[slot] = row.read(this.target.targets);
+        }
+        this.head++;
+
+        this.drawInfo();
+        this.drawGraphs(rows);
+    }
+
+    drawInfo() {
+        const e = this.engine;
+        const frameMs = this.frameTimes.reduce((sum, t) => sum + t, 0) / this.frameTimes.length;
+        const lines = [`FRAME // ${frameMs.toFixed(1)}MS ${(1000 / frameMs).toFixed(0)}FPS`];
+
+        if (e.initialized) {
+            const lead = e.leadVoices.filter((voice) => voice.midi !== null).length + (e.heldLeadNote !== null ? 1 : 0);
+            lines.push(
+                `CHORD // ${e.harmony.symbol} (${e.harmony.index + 1}/${e.harmony.progression.chords.length})`,
+                `TRANSPORT // ${e.transport.position} ${e.transport.state.toUpperCase()}`,
+                `VOICES // PAD ${e.pad.activeVoices} LEAD ${lead} SAW ${e.superSawAmp.gain.value > 0.001 ? 'ON' : 'OFF'}`,
+                `CONTEXT // ${e.context.state.toUpperCase()} ${e.context.sampleRate}HZ`
+            );
+        } else {
+            lines.push('CONTEXT // NOT_STARTED');
+        }
+        this.info.innerText = lines.join('\n');
+    }
+
+    drawGraphs(rows) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = LABEL_WIDTH + GRAPH_WIDTH;
+        const height = rows.length * ROW_HEIGHT;
+        if (this.canvas.width !== width * dpr || this.canvas.height !== height * dpr) {
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '9px monospace';
+        ctx.textBaseline = 'middle';
+
+        const count = Math.min(this.head, HISTORY);
+        rows.forEach((row, i) => {
+            const h = this.history.get(row.name);
+            const top = i * ROW_HEIGHT;
+            const [min, max] = this.rangeOf(row, h, count);
+            const current = h.params[(this.head - 1) % HISTORY];
+
+            ctx.fillStyle = 'rgba(200, 200, 220, 0.7)';
+            ctx.fillText(`${row.name} ${current.toFixed(2)}`, 0, top + ROW_HEIGHT / 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+            ctx.fillRect(LABEL_WIDTH, top + 1, GRAPH_WIDTH, ROW_HEIGHT - 2);
+
+            this.plot(h.targets, count, top, min, max, 'rgba(125, 102, 255, 0.45)');
+            this.plot(h.params, count, top, min, max, 'rgba(255, 165, 80, 0.9)');
+        });
+    }
+
+    /* Declared range when finite, otherwise the visible history's extent */
+    rangeOf(row, h, count) {
+        let [min, max] = row.range;
+        if (Number.isFinite(min) && Number.isFinite(max)) return [min, max];
+        min = Infinity;
+        max = -Infinity;
+        for (let i = 0; i < count; i++) {
+            min = Math.min(min, h.params[i], h.targets[i]);
+            max = Math.max(max, h.params[i], h.targets[i]);
+        }
+        return max > min ? [min, max] : [min - 1, min + 1];
+    }
+
+    plot(values, count, top, min, max, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            // Oldest sample on the left
+            const value = values[(this.head - count + i) % HISTORY];
+            const x = LABEL_WIDTH + (i / (HISTORY - 1)) * GRAPH_WIDTH;
+            const y = top + ROW_HEIGHT - 2 - ((value - min) / (max - min)) * (ROW_HEIGHT - 4);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * ParticleField.js
+ * GPU particle field: positions and velocities live in float textures and are
+ * integrated in fragment shaders (GPUComputationRenderer), so the CPU only
+ * uploads a handful of uniforms per frame. Ambient dust drifts around its
+ * home position; bursts and cursor streaks are emitted into a ring buffer.
+ * All particles are pulled towards the core and stirred by a flow field.
+ */
+
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { random } from '../core/Random.js';
+
+const MAX_EMITTERS = 8;          // emissions started per frame (extra ones wait a frame)
+const MAX_SIZE = 512;            // compute texture side: caps the budget at 262144 particles
+const DUST_SHARE = 0.75;         // share of the budget used by ambient dust
+const BOUNDS = { min: [-70, 0, -70], max: [70, 60, 70] };
+
+// Particle kinds (velocity.w)
+const DUST = 0;
+const BURST = 1;
+const STREAK = 2;
+
+/* Shared by both compute shaders: which emitter (if any) respawns this texel */
+const EMIT_GLSL = /* glsl */`
+    #define MAX_EMITTERS ${MAX_EMITTERS}
+    uniform vec4 emitFrom[MAX_EMITTERS];   // xyz start, w kind
+    uniform vec4 emitTo[MAX_EMITTERS];     // xyz end (streaks)
+    uniform vec2 emitRange[MAX_EMITTERS];  // first pool slot, count
+    uniform int emitCount;
+    uniform float dustCount;
+    uniform float poolSize;
+    uniform float seed;
+
+    float particleIndex() {
+        return floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+    }
+
+    // Sine-free hash: stays well distributed for large indices
+    float hash(float n) {
+        n = fract(n * 0.1031 + seed * 0.3183);
+        n *= n + 33.33;
+        n *= n + n;
+        return fract(n);
+    }
+
+    int emitterOf(float index) {
+        float slot = index - dustCount;
+        if (slot < 0.0) return -1;
+        for (int i = 0; i < MAX_EMITTERS; i++) {
+            if (i >= emitCount) break;
+            if (mod(slot - emitRange[i].x + poolSize, poolSize) < emitRange[i].y) return i;
+        }
+        return -1;
+    }
+
+    vec3 randomDirection(float index) {
+        float z = hash(index) * 2.0 - 1.0;
+        float a = hash(index + 17.0) * 6.2831853;
+        float r = sqrt(1.0 - z * z);
+        return vec3(r * cos(a), r * sin(a), z);
+    }
+`;
+
+const VELOCITY_SHADER = /* glsl */`
+    ${EMIT_GLSL}
+    uniform sampler2D textureHome;
+    uniform vec3 core;
+    uniform float dt;
+    uniform float time;
+    uniform float attraction;
+    uniform float turbulence;
+
+    vec3 flow(vec3 p, float t) {
+        return vec3(
+            sin(p.y * 0.15 + t) + cos(p.z * 0.11 - t * 0.7),
+            sin(p.z * 0.13 + t * 0.8) + cos(p.x * 0.12),
+            sin(p.x * 0.14 - t * 0.6) + cos(p.y * 0.1 + t)
+        );
+    }
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 position = texture2D(texturePosition, uv);
+        vec4 velocity = texture2D(textureVelocity, uv);
+        float index = particleIndex();
+
+        int emitter = emitterOf(index);
+        if (emitter >= 0) {
+            vec4 from = vec4(0.0);
+            vec4 to = vec4(0.0);
+            for (int i = 0; i < MAX_EMITTERS; i++) {
+                if (i == emitter) { from = emitFrom[i]; to = emitTo[i]; }
+            }
+            vec3 direction = randomDirection(index);
+            vec3 v = from.w < 1.5
+                ? direction * (6.0 + hash(index + 3.0) * 12.0)
+                : direction * 1.5 + (to.xyz - from.xyz) * 0.5;
+            gl_FragColor = vec4(v, from.w);
+            return;
+        }
+
+        float kind = velocity.w;
+        vec3 v = velocity.xyz;
+
+        // Pull towards the core, a little softer far away
+        vec3 toCore = core - position.xyz;
+        float dist = length(toCore) + 1e-3;
+        v += toCore / dist * attraction * 40.0 / (1.0 + dist * 0.02) * dt;
+
+        v += flow(position.xyz * (1.0 + turbulence), time) * (0.5 + turbulence * 12.0) * dt;
+
+        // Dust drifts back home once the gesture lets go
+        if (kind < 0.5) v += (texture2D(textureHome, uv).xyz - position.xyz) * 0.04 * dt;
+
+        v *= exp(-(kind < 0.5 ? 0.8 : 1.6) * dt);
+        gl_FragColor = vec4(v, kind);
+    }
+`;
+
+const POSITION_SHADER = /* glsl */`
+    ${EMIT_GLSL}
+    uniform float dt;
+    uniform vec3 boundsMin;
+    uniform vec3 boundsMax;
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 position = texture2D(texturePosition, uv);
+        vec4 velocity = texture2D(textureVelocity, uv);
+        float index = particleIndex();
+
+        int emitter = emitterOf(index);
+        if (emitter >= 0) {
+            vec4 from = vec4(0.0);
+            vec4 to = vec4(0.0);
+            for (int i = 0; i < MAX_EMITTERS; i++) {
+                if (i == emitter) { from = emitFrom[i]; to = emitTo[i]; }
+            }
+            vec3 jitter = randomDirection(index + 5.0) * (from.w < 1.5 ? 0.4 : 0.25);
+            vec3 p = from.w < 1.5 ? from.xyz : mix(from.xyz, to.xyz, hash(index + 9.0));
+            gl_FragColor = vec4(p + jitter, 1.0);
+            return;
+        }
+
+        float kind = velocity.w;
+        vec3 p = position.xyz + velocity.xyz * dt;
+        float life = position.w;
+
+        if (kind < 0.5) {
+            p = boundsMin + mod(p - boundsMin, boundsMax - boundsMin);
+        } else {
+            life = max(0.0, life - dt / (kind < 1.5 ? 2.5 : 1.2));
+        }
+        gl_FragColor = vec4(p, life);
+    }
+`;
+
+const POINTS_VERTEX = /* glsl */`
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity;
+    uniform float time;
+    uniform float energy;
+    uniform float density;
+    uniform vec3 dustColor;
+    uniform vec3 burstColor;
+    uniform vec3 streakColor;
+    attribute vec2 reference;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vec4 position4 = texture2D(texturePosition, reference);
+        float kind = texture2D(textureVelocity, reference).w;
+        float life = position4.w;
+        float offset = fract(sin(dot(reference, vec2(12.9898, 78.233))) * 43758.5453);
+
+        vec3 pos = position4.xyz;
+        float size = 2.0;
+        if (kind < 0.5) {
+            pos.y += sin(time * 0.4 + offset * 6.2831853) * (1.0 + energy * 3.0);
+            vColor = dustColor;
+            vAlpha = 0.35;
+        } else if (kind < 1.5) {
+            size = 1.5 + life * 2.5;
+            vColor = burstColor;
+            vAlpha = life * 0.9;
+        } else {
+            size = 1.0 + life * 2.0;
+            vColor = streakColor;
+            vAlpha = life * 0.8;
+        }
+
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        float visible = step(offset, density) * step(0.001, life);
+        gl_PointSize = clamp(size * (120.0 / -mvPosition.z), 1.0, 8.0) * visible;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const POINTS_FRAGMENT = /* glsl */`
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha <= 0.0 || length(gl_PointCoord - vec2(0.5)) > 0.5) discard;
+        gl_FragColor = vec4(vColor, vAlpha);
+    }
+`;
+
+export class ParticleField {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {object} [options]
+     * @param {number} [options.budget]  total particle count (rounded up to a square texture,
+     *                                    capped by MAX_SIZE and the GPU's texture size)
+     */
+    constructor(renderer, { budget = 16384 } = {}) {
+        const maxSize = Math.min(MAX_SIZE, renderer.capabilities.maxTextureSize);
+        const size = Math.min(maxSize, Math.max(4, Math.ceil(Math.sqrt(budget))));
+        this.size = size;
+        this.count = size * size;
+        this.dustCount = Math.floor(this.count * DUST_SHARE);
+        this.poolSize = this.count - this.dustCount;
+        this.cursor = 0;     // next free slot of the emission ring
+        this.queue = [];     // emissions waiting for an emitter slot
+        this.enabled = true;
+        this.rng = random.stream('particles');
+
+        this.gpu = new GPUComputationRenderer(size, size, renderer);
+        const position = this.gpu.createTexture();
+        const velocity = this.gpu.createTexture();
+        this.fillInitial(position.image.data, velocity.image.data);
+        const home = new THREE.DataTexture(position.image.data.slice(), size, size, THREE.RGBAFormat, THREE.FloatType);
+        home.needsUpdate = true;
+
+        this.velocity = this.gpu.addVariable('textureVelocity', VELOCITY_SHADER, velocity);
+        this.position = this.gpu.addVariable('texturePosition', POSITION_SHADER, position);
+        this.gpu.setVariableDependencies(this.velocity, [this.velocity, this.position]);
+        this.gpu.setVariableDependencies(this.position, [this.velocity, this.position]);
+
+        const emitUniforms = () => ({
+            emitFrom: { value: Array.from({ length: MAX_EMITTERS }, () => new THREE.Vector4()) },
+            emitTo: { value: Array.from({ length: MAX_EMITTERS }, () => new THREE.Vector4()) },
+            emitRange: { value: Array.from({ length: MAX_EMITTERS }, () => new THREE.Vector2()) },
+            emitCount: { value: 0 },
+            dustCount: { value: this.dustCount },
+            poolSize: { value: this.poolSize },
+            seed: { value: 0 },
+            dt: { value: 0 }
+        });
+        Object.assign(this.velocity.material.uniforms, emitUniforms(), {
+            textureHome: { value: home },
+            core: { value: new THREE.Vector3() },
+            time: { value: 0 },
+            attraction: { value: 0 },
+            turbulence: { value: 0 }
+        });
+        Object.assign(this.position.material.uniforms, emitUniforms(), {
+            boundsMin: { value: new THREE.Vector3().fromArray(BOUNDS.min) },
+            boundsMax: { value: new THREE.Vector3().fromArray(BOUNDS.max) }
+        });
+
+        const error = this.gpu.init();
+        if (error !== null) {
+            console.warn('[ParticleField] disabled:', error);
+            this.enabled = false;
+        }
+
+        this.points = this.createPoints();
+        this.points.visible = this.enabled;
+    }
+
+    /* Dust scattered through the room; the emission pool starts dead (life 0) */
+    fillInitial(position, velocity) {
+        for (let i = 0; i < this.count; i++) {
+            const p = i * 4;
+            if (i < this.dustCount) {
+                position[p] = this.rng.range(BOUNDS.min[0], BOUNDS.max[0]);
+                position[p + 1] = this.rng.range(BOUNDS.min[1], BOUNDS.max[1]);
+                position[p + 2] = this.rng.range(BOUNDS.min[2], BOUNDS.max[2]);
+                position[p + 3] = 1;
+                velocity[p + 3] = DUST;
+            } else {
+                velocity[p + 3] = BURST;
+            }
+        }
+    }
+
+    createPoints() {
+        const geometry = new THREE.BufferGeometry();
+        const reference = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            reference[i * 2] = ((i % this.size) + 0.5) / this.size;
+            reference[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        // Positions come from the texture; the attribute only sets the vertex count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        geometry.setAttribute('reference', new THREE.BufferAttribute(reference, 2));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                texturePosition: { value: null },
+                textureVelocity: { value: null },
+                time: { value: 0 },
+                energy: { value: 0 },
+                density: { value: 1 },
+                dustColor: { value: new THREE.Color(0xffffff) },
+                burstColor: { value: new THREE.Color(0xffc27a) },
+                streakColor: { value: new THREE.Color(0x9bbce0) }
+            },
+            vertexShader: POINTS_VERTEX,
+            fragmentShader: POINTS_FRAGMENT,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false; // the bounding sphere knows nothing of the texture positions
+        return points;
+    }
+
+    /* =========================
+     * Emission
+     * ========================= */
+    burst(point, count = 256) {
+        if (!this.enabled) return;
+        this.queue.push({ kind: BURST, from: point.clone(), to: point.clone(), count });
+    }
+
+    /* Streak particles spread along the segment a -> b */
+    trail(a, b, count = 32) {
+        if (!this.enabled) return;
+        this.queue.push({ kind: STREAK, from: a.clone(), to: b.clone(), count });
+    }
+
+    /*
+     * Share of particles drawn (quality tiers). Only the draw is thinned: the
+     * compute textures keep their size, so simulation cost stays that of the
+     * full budget (set it with ?particles=).
+     */
+    setDensity(density) {
+        this.points.material.uniforms.density.value = density;
+    }
+
+    /* =========================
+     * Frame update (called from Renderer.draw)
+     * ========================= */
+    /**
+     * @param {number} dt seconds
+     * @param {object} forces
+     * @param {THREE.Vector3} forces.core   attraction point
+     * @param {number} forces.attraction    0..1 (dragForce)
+     * @param {number} forces.turbulence    0..1 (sharpness)
+     * @param {number} forces.energy
+     * @param {number} forces.time          seconds
+     */
+    update(dt, { core, attraction, turbulence, energy, time }) {
+        if (!this.enabled) return;
+
+        const emissions = this.queue.splice(0, MAX_EMITTERS);
+        [this.velocity, this.position].forEach(({ material: { uniforms } }) => {
+            emissions.forEach(({ kind, from, to }, i) => {
+                uniforms.emitFrom.value[i].set(from.x, from.y, from.z, kind);
+                uniforms.emitTo.value[i].set(to.x, to.y, to.z, 0);
+            });
+            uniforms.emitCount.value = emissions.length;
+            uniforms.seed.value = time % 1000;
+            uniforms.dt.value = dt;
+        });
+        emissions.forEach(({ count }, i) => {
+            const n = Math.min(count, this.poolSize);
+            this.velocity.material.uniforms.emitRange.value[i].set(this.cursor, n);
+            this.position.material.uniforms.emitRange.value[i].set(this.cursor, n);
+            this.cursor = (this.cursor + n) % this.poolSize;
+        });
+
+        const forces = this.velocity.material.uniforms;
+        forces.core.value.copy(core);
+        forces.time.value = time;
+        forces.attraction.value = attraction;
+        forces.turbulence.value = turbulence;
+
+        this.gpu.compute();
+
+        const uniforms = this.points.material.uniforms;
+        uniforms.texturePosition.value = this.gpu.getCurrentRenderTarget(this.position).texture;
+        uniforms.textureVelocity.value = this.gpu.getCurrentRenderTarget(this.velocity).texture;
+        uniforms.time.value = time;
+        uniforms.energy.value = energy;
+    }
+
+    dispose() {
+        this.gpu.dispose();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Picker.js
+ * Raycast interaction with the scene: pointers that land on a ring grab and
+ * spin it (angular velocity feeds the `ringSpin` signal and the spin voice),
+ * a tap on the core steps the chord, and hovered objects (rings, core,
+ * environment props) light up. Interaction.js routes a pointer here only
+ * when it hits something; empty-space gestures stay screen-space, and so
+ * does a press on the core once it stops being a tap.
+ * `ringSpin` is only written from drags (input events, so takes stay small);
+ * its decay matches the coast of a released ring.
+ */
+
+import * as THREE from 'three';
+import { signals, lerpFactor, decayFactor } from '../core/Signals.js';
+import { clock } from '../core/Clock.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+const MAX_SPIN = 12;          // rad/s mapped to ringSpin = 1
+const SPIN_HALF_LIFE = 1.2;   // s, coasting of a released ring (and ringSpin decay)
+const GRAB_SMOOTHING = 0.05;  // s, time constant of the measured spin while held
+const TAP_TIME = 300;         // ms, longest press that counts as a tap
+const TAP_SLOP = 0.02;        // screen fraction a tap may wander
+const HIGHLIGHT = new THREE.Color(0xffc27a);
+const HIGHLIGHT_FADE = 0.08;  // s
+
+export const PICK_SIGNALS = {
+    // Fastest ring spin, 0..1 of MAX_SPIN
+    ringSpin: { smoothing: 0.1, decay: SPIN_HALF_LIFE }
+};
+
+export class Picker {
+    /**
+     * @param {import('./Renderer.js').Renderer} renderer
+     * @param {object} [options]
+     */
+    constructor(renderer, { target = signals, engine = audioEngine } = {}) {
+        this.renderer = renderer;
+        this.target = target;
+        this.engine = engine;
+        target.registerAll(PICK_SIGNALS);
+
+        this.raycaster = new THREE.Raycaster();
+        this.ndc = new THREE.Vector2();
+        this.axis = new THREE.Vector3();
+        this.screen = new THREE.Vector3();
+
+        this.grabs = new Map();      // pointerId -> { kind, object, x, y, angle, time, start }
+        this.hovered = null;
+        this.highlights = new Map(); // object -> level 0..1
+
+        // Rings and core are thin or small on screen; pick them with fatter invisible proxies
+        const proxyMaterial = new THREE.MeshBasicMaterial();
+        renderer.rings.forEach((ring) => {
+            ring.userData.spin = 0;
+            const { radius } = ring.geometry.parameters;
+            const proxy = new THREE.Mesh(new THREE.TorusGeometry(radius, 1, 6, 32), proxyMaterial);
+            proxy.visible = false;
+            proxy.userData.pick = { kind: 'ring', object: ring };
+            ring.add(proxy);
+        });
+        const coreProxy = new THREE.Mesh(new THREE.SphereGeometry(2.6, 12, 8), proxyMaterial);
+        coreProxy.visible = false;
+        coreProxy.userData.pick = { kind: 'core', object: renderer.coreInner };
+        renderer.coreGroup.add(coreProxy);
+        this.proxies = [coreProxy, ...renderer.rings.map((ring) => ring.children[0])];
+    }
+
+    /* =========================
+     * Picking
+     * ========================= */
+    /**
+     * @param {number} x normalized screen position (0..1)
+     * @param {number} y normalized screen position (0..1, down)
+     * @returns {{ kind: 'ring'|'core'|'prop', object: THREE.Object3D } | null}
+     */
+    pick(x, y) {
+        this.ndc.set(x * 2 - 1, 1 - y * 2);
+        this.raycaster.setFromCamera(this.ndc, this.renderer.camera);
+
+        const [hit] = this.raycaster.intersectObjects([...this.proxies, ...this.props()], true);
+        if (!hit) return null;
+        if (hit.object.userData.pick) return hit.object.userData.pick;
+
+        let object = hit.object;
+        while (object && !object.userData.prop) object = object.parent;
+        return object ? { kind: 'prop', object } : null;
+    }
+
+    /* Props of the environments currently in view (see environments.js) */
+    props() {
+        const props = [];
+        this.renderer.environments.forEach((environment, name) => {
+            if ((this.renderer.environmentMix[name] ?? 0) < 0.5) return;
+            environment.props ??= environment.group.children.filter((child) => child.userData.prop);
+            props.push(...environment.props);
+        });
+        return props;
+    }
+
+    /* Screen-space angle of a point around the core (y down, aspect-corrected) */
+    angleAroundCore(x, y) {
+        const { camera, coreGroup } = this.renderer;
+        this.screen.copy(coreGroup.position).project(camera);
+        const cx = this.screen.x * 0.5 + 0.5;
+        const cy = 0.5 - this.screen.y * 0.5;
+        return Math.atan2(y - cy, (x - cx) * camera.aspect);
+    }
+
+    /* =========================
+     * Pointer routing (called from Interaction.js)
+     * ========================= */
+    hover(x, y) {
+        const hit = this.pick(x, y);
+        this.hovered = hit?.object ?? null;
+        this.setCursor(hit ? (hit.kind === 'ring' ? 'grab' : 'pointer') : '');
+    }
+
+    /* @returns {boolean} true if the pointer landed on a ring or the core */
+    grab(id, x, y) {
+        const hit = this.pick(x, y);
+        if (!hit || hit.kind === 'prop') return false;
+
+        const now = clock.now();
+        this.grabs.set(id, { ...hit, x, y, angle: this.angleAroundCore(x, y), time: now, start: { x, y, time: now } });
+        this.hovered = hit.object;
+        if (hit.kind === 'ring') this.setCursor('grabbing');
+        return true;
+    }
+
+    /* @returns {boolean} false once the pointer is no longer held (see handOff) */
+    drag(id, x, y) {
+        const grab = this.grabs.get(id);
+        if (!grab) return false;
+        const now = clock.now();
+        if (grab.kind === 'core' && !this.isTap(grab, x, y, now)) return this.handOff(id);
+
+        const dt = Math.max(0.001, (now - grab.time) / 1000);
+
+        if (grab.kind === 'ring') {
+            const angle = this.angleAroundCore(x, y);
+            let delta = angle - grab.angle;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+
+            // Turn the ring about the view axis so it follows the pointer around the core
+            grab.object.rotateOnWorldAxis(this.renderer.camera.getWorldDirection(this.axis), delta);
+            const spin = grab.object.userData.spin;
+            grab.object.userData.spin = spin + (delta / dt - spin) * lerpFactor(GRAB_SMOOTHING, dt);
+            grab.angle = angle;
+            this.perturbSpin();
+        }
+        grab.x = x;
+        grab.y = y;
+        grab.time = now;
+        return true;
+    }
+
+    /* A core press that moved or lasted too long is a drag: give it back to Interaction */
+    handOff(id) {
+        this.grabs.delete(id);
+        this.setCursor('');
+        return false;
+    }
+
+    isTap({ start }, x, y, now = clock.now()) {
+        return now - start.time < TAP_TIME && Math.hypot(x - start.x, y - start.y) < TAP_SLOP;
+    }
+
+    /**
+     * @param {number} id
+     * @param {object} [options]
+     * @param {boolean} [options.lifted] the pointer really went up (pointerup); only then can it tap
+     */
+    release(id, { lifted = false } = {}) {
+        const grab = this.grabs.get(id);
+        if (!grab) return;
+        this.grabs.delete(id);
+        this.setCursor('');
+
+        if (grab.kind === 'core' && lifted && this.isTap(grab, grab.x, grab.y) && this.engine.initialized) {
+            this.engine.stepChord(1);
+            this.renderer.particles.burst(this.renderer.coreGroup.position, 512);
+        }
+    }
+
+    isHeld(object) {
+        for (const grab of this.grabs.values()) {
+            if (grab.object === object) return true;
+        }
+        return false;
+    }
+
+    releaseAll() {
+        [...this.grabs.keys()].forEach((id) => this.release(id));
+        this.hovered = null;
+    }
+
+    /* Fastest ring spin -> ringSpin (0..1) */
+    perturbSpin() {
+        const fastest = Math.max(...this.renderer.rings.map((ring) => Math.abs(ring.userData.spin)));
+        this.target.perturb('ringSpin', Math.min(1, fastest / MAX_SPIN));
+    }
+
+    setCursor(cursor) {
+        document.body.style.cursor = cursor;
+    }
+
+    /* =========================
+     * Frame update (called from Renderer.draw, after lighting)
+     * ========================= */
+    update(dt) {
+        const held = new Set([...this.grabs.values()].map((grab) => grab.object));
+
+        // Released rings coast and slow down (ringSpin decays at the same rate)
+        this.renderer.rings.forEach((ring) => {
+            if (held.has(ring)) return;
+            ring.userData.spin *= decayFactor(SPIN_HALF_LIFE, dt);
+            ring.rotateOnWorldAxis(this.renderer.camera.getWorldDirection(this.axis), ring.userData.spin * dt);
+        });
+
+        this.updateHighlights(dt, held);
+    }
+
+    updateHighlights(dt, held) {
+        if (this.hovered) this.highlights.set(this.hovered, this.highlights.get(this.hovered) ?? 0);
+        held.forEach((object) => this.highlights.set(object, this.highlights.get(object) ?? 0));
+
+        const k = lerpFactor(HIGHLIGHT_FADE, dt);
+        this.highlights.forEach((level, object) => {
+            const goal = object === this.hovered || held.has(object) ? 1 : 0;
+            level += (goal - level) * k;
+            if (goal === 0 && level < 0.001) {
+                level = 0;
+                this.highlights.delete(object);
+            } else {
+                this.highlights.set(object, level);
+            }
+            this.applyHighlight(object, level);
+        });
+    }
+
+    applyHighlight(object, level) {
+        // The core's emissive intensity is set every frame by Renderer.updateLighting
+        if (object === this.renderer.coreInner) {
+            object.material.emissiveIntensity += level * 1.5;
+            return;
+        }
+        // Only materials owned by one object (rings, props) are tinted; shared ones would light up everywhere
+        object.traverse((mesh) => {
+            const material = mesh.visible ? mesh.material : null;
+            if (!material?.emissive || !material.userData.highlightable) return;
+            material.userData.emissive ??= material.emissive.clone();
+            material.emissive.copy(material.userData.emissive).lerp(HIGHLIGHT, level * 0.4);
+        });
+    }
+}
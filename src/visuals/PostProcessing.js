@@ -0,0 +1,196 @@
+/**
+ * PostProcessing.js
+ * Composable post chain: light shafts from the key spotlight, bloom and
+ * chromatic aberration in linear HDR, then tone mapping (OutputPass) and
+ * film grain and vignette in display space. Every pass can be toggled; a
+ * user toggle overrides the quality tier's default for that pass, so tier
+ * changes (QualityGovernor) don't undo it. Pass strengths are modulation
+ * destinations (see Renderer.registerModulation).
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from 'three/examples/jsm/postprocessing/FilmPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+export const POST_PASSES = ['shafts', 'bloom', 'aberration', 'grain', 'vignette'];
+
+const MAX_SHAFT_SAMPLES = 64;
+
+/* Screen-space light scattering: bright pixels smeared along rays towards the light */
+const LightShaftShader = {
+    name: 'LightShaftShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        lightPosition: { value: new THREE.Vector2(0.5, 0.5) },
+        intensity: { value: 2 },
+        visibility: { value: 1 },
+        threshold: { value: 0.6 },
+        density: { value: 0.9 },
+        decay: { value: 0.95 },
+        samples: { value: 48 }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        #define MAX_SAMPLES ${MAX_SHAFT_SAMPLES}
+        uniform sampler2D tDiffuse;
+        uniform vec2 lightPosition;
+        uniform float intensity;
+        uniform float visibility;
+        uniform float threshold;
+        uniform float density;
+        uniform float decay;
+        uniform int samples;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec2 toLight = lightPosition - vUv;
+            float dist = max(length(toLight), 1e-4);
+            // The light may sit far off-screen; march at most one screen length
+            vec2 stepUv = toLight / dist * min(dist, 1.0) * density / float(samples);
+
+            vec2 coord = vUv;
+            float illumination = 1.0;
+            vec3 shafts = vec3(0.0);
+            for (int i = 0; i < MAX_SAMPLES; i++) {
+                if (i >= samples) break;
+                coord += stepUv;
+                vec3 sampleColor = texture2D(tDiffuse, clamp(coord, 0.0, 1.0)).rgb;
+                shafts += max(sampleColor - threshold, 0.0) * illumination;
+                illumination *= decay;
+            }
+            gl_FragColor = vec4(base.rgb + shafts / float(samples) * intensity * visibility, base.a);
+        }
+    `
+};
+
+/* Radial RGB split, stronger towards the edges */
+const AberrationShader = {
+    name: 'AberrationShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.001 }
+    },
+    vertexShader: LightShaftShader.vertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount * length(vUv - 0.5) * 4.0;
+            vec4 base = texture2D(tDiffuse, vUv);
+            float r = texture2D(tDiffuse, vUv + offset).r;
+            float b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = vec4(r, base.g, b, base.a);
+        }
+    `
+};
+
+export class PostProcessing {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {THREE.Light} light  source of the light shafts
+     */
+    constructor(renderer, scene, camera, light) {
+        this.camera = camera;
+        this.light = light;
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        const size = renderer.getSize(new THREE.Vector2());
+        this.passes = {
+            shafts: new ShaderPass(LightShaftShader),
+            bloom: new UnrealBloomPass(size, 0.35, 0.6, 0.85),
+            aberration: new ShaderPass(AberrationShader),
+            grain: new FilmPass(0.12, false),
+            vignette: new ShaderPass(VignetteShader)
+        };
+        this.passes.vignette.uniforms.offset.value = 1.1;
+        this.passes.vignette.uniforms.darkness.value = 1.1;
+
+        const { shafts, bloom, aberration, grain, vignette } = this.passes;
+        this.composer.addPass(shafts);
+        this.composer.addPass(bloom);
+        this.composer.addPass(aberration);
+        this.composer.addPass(new OutputPass()); // tone mapping + sRGB
+        this.composer.addPass(grain);
+        this.composer.addPass(vignette);
+
+        this.overrides = {}; // pass name -> enabled, set by the user
+        this.lightScreen = new THREE.Vector3();
+    }
+
+    /* =========================
+     * Pass switches
+     * ========================= */
+    isEnabled(name) {
+        return this.pass(name).enabled;
+    }
+
+    /* User switch: sticks across quality tier changes */
+    setEnabled(name, enabled) {
+        this.pass(name).enabled = enabled;
+        this.overrides[name] = enabled;
+    }
+
+    toggle(name) {
+        this.setEnabled(name, !this.isEnabled(name));
+    }
+
+    pass(name) {
+        const pass = this.passes[name];
+        if (!pass) throw new Error(`Unknown post pass "${name}"`);
+        return pass;
+    }
+
+    /* Applies the `passes` and `shaftSamples` of a quality preset (see quality.js); user overrides win */
+    applyQuality({ passes = {}, shaftSamples }) {
+        for (const name in passes) this.pass(name).enabled = this.overrides[name] ?? passes[name];
+        if (shaftSamples !== undefined) {
+            this.passes.shafts.uniforms.samples.value = Math.min(MAX_SHAFT_SAMPLES, shaftSamples);
+        }
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+    }
+
+    setPixelRatio(ratio) {
+        this.composer.setPixelRatio(ratio);
+    }
+
+    /* MSAA samples of the scene render targets (0 = off) */
+    setSamples(samples) {
+        const { renderTarget1, renderTarget2 } = this.composer;
+        if (renderTarget1.samples === samples) return;
+        [renderTarget1, renderTarget2].forEach((target) => {
+            target.samples = samples;
+            target.dispose(); // re-created with the new sample count on next use
+        });
+    }
+
+    /* @param {number} dt seconds (drives the film grain) */
+    render(dt) {
+        // Project the light; no shafts while it is behind the camera
+        const shafts = this.passes.shafts.uniforms;
+        this.lightScreen.copy(this.light.position).project(this.camera);
+        shafts.lightPosition.value.set(this.lightScreen.x * 0.5 + 0.5, this.lightScreen.y * 0.5 + 0.5);
+        shafts.visibility.value = this.lightScreen.z < 1 ? 1 : 0;
+
+        this.composer.render(dt);
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * QualityGovernor.js
+ * Holds a target frame rate by stepping Renderer quality tiers (quality.js)
+ * from a smoothed frame time: down quickly when frames run long, up slowly
+ * when there is headroom. A tier that had to be left is retried only after
+ * a growing back-off, so the governor settles instead of oscillating.
+ * A manual override pins one tier.
+ */
+
+import { lerpFactor } from '../core/Signals.js';
+import { QUALITY_TIERS } from './quality.js';
+
+const SMOOTHING = 0.5;      // s, time constant of the frame-time average
+const OUTLIER_MS = 250;     // longer gaps (tab switch, GC pause) are ignored
+const DOWN_AFTER = 1.5;     // s below target before stepping down
+const UP_AFTER = 6;         // s above target before stepping up
+const SETTLE = 2;           // s after a change before measuring again
+const RETRY_BACKOFF = 20;   // s before retrying a tier we dropped from (doubles per drop)
+
+export class QualityGovernor {
+    /**
+     * @param {import('./Renderer.js').Renderer} renderer
+     * @param {object} [options]
+     * @param {number} [options.targetFps]
+     */
+    constructor(renderer, { targetFps = 55 } = {}) {
+        this.renderer = renderer;
+        this.targetFps = targetFps;
+        this.override = null;    // tier name while pinned manually
+        this.frameMs = 1000 / targetFps;
+        this.lastTime = null;
+        this.slowFor = 0;
+        this.fastFor = 0;
+        this.settleFor = SETTLE;
+        this.drops = {};         // tier -> { count, at } (seconds since start)
+        this.time = 0;
+    }
+
+    get tier() {
+        return this.renderer.quality;
+    }
+
+    get fps() {
+        return 1000 / this.frameMs;
+    }
+
+    /* Pins a tier (null = automatic) */
+    setOverride(name) {
+        if (name !== null && !QUALITY_TIERS.includes(name)) throw new Error(`Unknown quality "${name}"`);
+        this.override = name;
+        if (name) this.renderer.setQuality(name);
+        this.reset();
+    }
+
+    reset() {
+        this.slowFor = 0;
+        this.fastFor = 0;
+        this.settleFor = SETTLE;
+    }
+
+    /* =========================
+     * Frame update (called from main loop)
+     * ========================= */
+    update(now) {
+        const frame = this.lastTime === null ? null : now - this.lastTime;
+        this.lastTime = now;
+        if (frame === null || frame <= 0 || frame > OUTLIER_MS) return;
+
+        const dt = frame / 1000;
+        this.time += dt;
+        this.frameMs += (frame - this.frameMs) * lerpFactor(SMOOTHING, dt);
+        if (this.override) return;
+
+        if (this.settleFor > 0) {
+            this.settleFor -= dt;
+            return;
+        }
+
+        // Hysteresis: below 90% of the target is slow, above 105% has headroom
+        const fps = this.fps;
+        this.slowFor = fps < this.targetFps * 0.9 ? this.slowFor + dt : 0;
+        this.fastFor = fps > this.targetFps * 1.05 ? this.fastFor + dt : 0;
+
+        const index = QUALITY_TIERS.indexOf(this.tier);
+        if (this.slowFor > DOWN_AFTER && index > 0) {
+            const drop = this.drops[this.tier] ?? { count: 0 };
+            this.drops[this.tier] = { count: drop.count + 1, at: this.time };
+            this.step(QUALITY_TIERS[index - 1]);
+        } else if (this.fastFor > UP_AFTER && index < QUALITY_TIERS.length - 1) {
+            const next = QUALITY_TIERS[index + 1];
+            const drop = this.drops[next];
+            if (!drop || this.time - drop.at > RETRY_BACKOFF * 2 ** (drop.count - 1)) this.step(next);
+        }
+    }
+
+    step(name) {
+        this.renderer.setQuality(name);
+        this.reset();
+    }
+}
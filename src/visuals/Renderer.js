@@ -4,31 +4,24 @@
  */
 
 import * as THREE from 'three';
-import { signals } from '../core/Signals.js';
+import { signals, lerpFactor, decayFactor } from '../core/Signals.js';
+import { random } from '../core/Random.js';
+import { modulation } from '../core/Modulation.js';
+import { SILENT_FRAME } from '../audio/MasterAnalysis.js';
+import { ENVIRONMENTS } from './environments.js';
+import { PostProcessing } from './PostProcessing.js';
+import { ParticleField } from './ParticleField.js';
+import { Picker } from './Picker.js';
+import { QUALITY_PRESETS } from './quality.js';
 
-function createIrregularHeptagonPath(radius, irregularity = 0.12) {
-    const path = new THREE.Path();
-    const points = [];
+const rng = random.stream('geometry');
 
-    for (let i = 0; i < 7; i++) {
-        const angle = (i / 7) * Math.PI * 2;
-        const variation = 1 + (Math.random() * 2 - 1) * irregularity;
-        const r = radius * variation;
+// Lights whose colors belong to the scene mood (presets)
+const MOOD_LIGHTS = ['ambient', 'key', 'spotMain', 'accent', 'redMarker', 'coreGlow'];
 
-        points.push(new THREE.Vector2(
-            Math.cos(angle) * r,
-            Math.sin(angle) * r
-        ));
-    }
-
-    path.moveTo(points[0].x, points[0].y);
-    for (let i = 1; i < points.length; i++) {
-        path.lineTo(points[i].x, points[i].y);
-    }
-    path.closePath();
-
-    return path;
-}
+// Musical event visuals (see connectMusic), in seconds
+const MARKER_FLASH_HALF_LIFE = 0.07;
+const WINDOW_TINT_TIME = 0.33;
 
 function edgeWeightedInput(v, deadZone = 0.2, power = 2.5) {
     const a = Math.abs(v);
@@ -44,11 +37,16 @@ function edgeWeightedInput(v, deadZone = 0.2, power = 2.5) {
 }
 
 export class Renderer {
-    constructor(canvasId) {
+    /**
+     * @param {string} canvasId
+     * @param {object} [options]
+     * @param {number} [options.particleBudget]  GPU particle count (see ParticleField.js)
+     */
+    constructor(canvasId, { particleBudget } = {}) {
         this.canvas = document.getElementById(canvasId);
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
-            antialias: true,
+            antialias: false, // the post chain renders offscreen; MSAA is set per quality tier
             alpha: false
         });
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -56,8 +54,7 @@ export class Renderer {
         this.renderer.outputColorSpace = THREE.SRGBColorSpace;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.25; // Brighter overall scene
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.shadowMap.enabled = true; // type and map size follow the quality tier
         this.renderer.setClearColor(0x0a0d12, 1);
 
         this.scene = new THREE.Scene();
@@ -66,170 +63,181 @@ export class Renderer {
         this.shellEnergy = 0.0;
         this.coreEnergy = 0.0;
 
+        // Audio-reactive envelopes (fast attack, slow release) fed by draw()
+        this.pulse = { low: 0, mid: 0, high: 0, level: 0, grain: 0, transient: 0 };
+
+        // Musical events (see connectMusic): grain flash, chord-tinted windows
+        this.markerFlash = 0;
+        this.windowColor = new THREE.Color(0x9bbce0);
+        this.windowTarget = this.windowColor.clone();
+
         this.camera = new THREE.PerspectiveCamera(42, window.innerWidth / window.innerHeight, 0.1, 160);
         this.camera.position.set(-10, 12, 35);
         this.camera.lookAt(0, 8, -15);
 
+        // Scene framing: the camera sways around `position` and looks at `look`
+        this.framing = {
+            position: new THREE.Vector3(-12, 16, 45),
+            look: new THREE.Vector3(0, 10, -15)
+        };
+
         this.clock = new THREE.Clock();
         this.lights = {};
         this.beams = [];
         this.hazePlanes = [];
 
+        // name -> { group, windows, materials } (see loadEnvironment)
+        this.environments = new Map();
+        this.environmentMix = {};
+
         this.initEnvironment();
         this.initInteractiveObject();
         this.initLighting();
         this.initHaze();
-        this.initPipes();
         // this.initCables();
-        this.initParticles();
+        this.initParticles(particleBudget);
+        this.picker = new Picker(this);
+
+        this.post = new PostProcessing(this.renderer, this.scene, this.camera, this.lights.spotMain);
+        this.quality = null;
+        this.setQuality('high');
+        this.registerModulation();
 
         window.addEventListener('resize', () => this.resize());
     }
 
+    /* =========================
+     * Environments (scenes): cached room groups crossfaded by opacity
+     * ========================= */
+    loadEnvironment(name) {
+        if (this.environments.has(name)) return this.environments.get(name);
+        const spec = ENVIRONMENTS[name];
+        if (!spec) throw new Error(`Unknown environment "${name}"`);
+
+        const { group, windows } = spec.build(random.stream(spec.stream ?? `geometry.${name}`));
+        const materials = new Set();
+        group.traverse((object) => {
+            if (object.material) materials.add(object.material);
+        });
+        // Remember each material's own blending so a finished fade restores it
+        materials.forEach((material) => {
+            material.userData.base = {
+                opacity: material.opacity,
+                transparent: material.transparent,
+                depthWrite: material.depthWrite
+            };
+        });
+        group.visible = false;
+        this.scene.add(group);
+
+        const environment = { group, windows, materials: [...materials] };
+        this.environments.set(name, environment);
+        return environment;
+    }
+
+    /**
+     * Shows environments at the given weights (0..1); unlisted ones are hidden.
+     * @param {Object<string, number>} weights e.g. { hall: 0.25, tank: 0.75 }
+     */
+    setEnvironmentMix(weights) {
+        for (const name in weights) this.loadEnvironment(name);
+        for (const [name, { group, materials }] of this.environments) {
+            const weight = weights[name] ?? 0;
+            group.visible = weight > 0.001;
+            if (!group.visible) continue;
+
+            const fading = weight < 0.999;
+            materials.forEach((material) => {
+                const base = material.userData.base;
+                const transparent = base.transparent || fading;
+                if (material.transparent !== transparent) {
+                    material.transparent = transparent;
+                    material.needsUpdate = true;
+                }
+                material.opacity = base.opacity * weight;
+                material.depthWrite = base.depthWrite && !fading;
+            });
+        }
+        this.environmentMix = { ...weights };
+    }
+
+    /* =========================
+     * Camera framing (scenes): base position, look target and field of view
+     * ========================= */
+    getFraming() {
+        return {
+            position: this.framing.position.toArray(),
+            look: this.framing.look.toArray(),
+            fov: this.camera.fov
+        };
+    }
+
+    setFraming({ position, look, fov }) {
+        if (position) this.framing.position.fromArray(position);
+        if (look) this.framing.look.fromArray(look);
+        if (fov !== undefined && fov !== this.camera.fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
     resize() {
         const width = window.innerWidth;
         const height = window.innerHeight;
         this.renderer.setSize(width, height, false);
+        this.post.setSize(width, height);
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
     }
-    
-    createSteppedFloor() {
-        const group = new THREE.Group();
-
-        const levels = 4;
-        const baseRadius = 35;      // hole 최대 크기
-        const stepHeight = 2;
-        const plateThickness = 2;
-
-        const floorMat = new THREE.MeshStandardMaterial({
-            color: 0x151c26,
-            roughness: 0.75,
-            metalness: 0.3
-        });
 
-        for (let i = 0; i < levels; i++) {
-            // 1️⃣ 바깥 바닥 (충분히 큰 사각형)
-            const shape = new THREE.Shape();
-            const size = 120;
-            shape.moveTo(-size, -size);
-            shape.lineTo(size, -size);
-            shape.lineTo(size, size);
-            shape.lineTo(-size, size);
-            shape.closePath();
-
-            // 2️⃣ 안쪽 7각형 hole
-            const holeRadius = baseRadius * (1 - i * 0.22);
-            const hole = createIrregularHeptagonPath(holeRadius, 0.12);
-            shape.holes.push(hole);
-
-            // 3️⃣ 얇게 extrude
-            const geometry = new THREE.ExtrudeGeometry(shape, {
-                depth: plateThickness,
-                bevelEnabled: false
-            });
-
-            geometry.rotateX(-Math.PI / 2);
-
-            const mesh = new THREE.Mesh(geometry, floorMat);
-            mesh.receiveShadow = true;
-
-            // 4️⃣ 계단 위치
-            mesh.position.y = -i * stepHeight;
+    /* =========================
+     * Quality tiers (see quality.js): pixel ratio, MSAA, shadows, post
+     * passes, particles and haze layers
+     * ========================= */
+    setQuality(name) {
+        const preset = QUALITY_PRESETS[name];
+        if (!preset) throw new Error(`Unknown quality "${name}"`);
+
+        const ratio = Math.min(window.devicePixelRatio, preset.pixelRatio);
+        this.renderer.setPixelRatio(ratio);
+        this.post.setPixelRatio(ratio);
+        this.post.setSamples(preset.antialias);
+        this.setShadows(preset.shadows);
+        this.post.applyQuality(preset);
+
+        this.particles.setDensity(preset.particles);
+        this.hazePlanes.forEach((haze, i) => { haze.visible = i < preset.hazeLayers; });
+
+        this.quality = name;
+    }
 
-            group.add(mesh);
+    /* @param {{ type: 'pcf'|'basic', mapSize: number }|null} shadows */
+    setShadows(shadows) {
+        const shadowMap = this.renderer.shadowMap;
+        const type = shadows?.type === 'basic' ? THREE.BasicShadowMap : THREE.PCFShadowMap;
+        const enabled = shadows !== null;
+
+        if (shadowMap.enabled !== enabled || shadowMap.type !== type) {
+            shadowMap.enabled = enabled;
+            shadowMap.type = type;
+            // Lit materials compile shadow sampling in or out
+            this.scene.traverse((object) => {
+                if (object.material) object.material.needsUpdate = true;
+            });
         }
-        
-        // ===== Bottom solid plate (no hole) =====
-        const bottomShape = new THREE.Shape();
-        const size = 120;
-
-        bottomShape.moveTo(-size, -size);
-        bottomShape.lineTo(size, -size);
-        bottomShape.lineTo(size, size);
-        bottomShape.lineTo(-size, size);
-        bottomShape.closePath();
-
-        const bottomGeometry = new THREE.ExtrudeGeometry(bottomShape, {
-            depth: plateThickness,
-            bevelEnabled: false
+        if (!enabled) return;
+
+        [this.lights.key, this.lights.spotMain].forEach((light) => {
+            if (light.shadow.mapSize.x === shadows.mapSize) return;
+            light.shadow.mapSize.set(shadows.mapSize, shadows.mapSize);
+            // Reallocated at the new size on the next shadow render
+            light.shadow.map?.dispose();
+            light.shadow.map = null;
         });
-
-        bottomGeometry.rotateX(-Math.PI / 2);
-
-        const bottomMesh = new THREE.Mesh(bottomGeometry, floorMat);
-        bottomMesh.receiveShadow = true;
-
-        // hole 판들보다 한 단계 더 아래
-        bottomMesh.position.y = -levels * stepHeight;
-
-        group.add(bottomMesh);
-
-        this.scene.add(group);
     }
-
+    
+    /* Shared light targets; the room itself is built per scene (see environments.js) */
     initEnvironment() {
-        this.createSteppedFloor();
-        const wallMat = new THREE.MeshStandardMaterial({
-            color: 0x202a3a, // Brighter base wall
-            roughness: 0.6,
-            metalness: 0.3
-        });
-        
-        const addWallGroup = (w, h, d, x, y, z, rotY = 0) => {
-            const group = new THREE.Group();
-            const mainWall = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), wallMat);
-            mainWall.receiveShadow = true;
-            group.add(mainWall);
-            
-            for (let i = 0; i < 4; i++) {
-                const panel = new THREE.Mesh(new THREE.BoxGeometry(w * 0.7, h * 0.12, d * 1.4), wallMat);
-                panel.position.y = -h * 0.3 + i * h * 0.2;
-                panel.position.z = d * 0.25;
-                group.add(panel);
-            }
-            
-            group.position.set(x, y, z);
-            group.rotation.y = rotY;
-            this.scene.add(group);
-        };
-
-        addWallGroup(140, 60, 2, 0, 30, -50); 
-        addWallGroup(2, 60, 140, -50, 30, 0); 
-        addWallGroup(2, 60, 140, 50, 30, 0); 
-
-        const columnMat = new THREE.MeshStandardMaterial({
-            color: 0x121822,
-            roughness: 0.5,
-            metalness: 0.5
-        });
-        for (let i = 0; i < 4; i++) {
-            const x = (i % 2 === 0 ? -1 : 1) * 42;
-            const z = -35 + Math.floor(i / 2) * 50;
-            const col = new THREE.Mesh(new THREE.BoxGeometry(5, 60, 5), columnMat);
-            col.position.set(x, 30, z);
-            col.castShadow = true;
-            col.receiveShadow = true;
-            this.scene.add(col);
-        }
-
-        const windowMat = new THREE.MeshStandardMaterial({
-            color: 0x2a364a,
-            emissive: 0x9bbce0,
-            emissiveIntensity: 1.8,
-            transparent: true,
-            opacity: 0.8
-        });
-        const windowGroup = new THREE.Group();
-        for (let r = 0; r < 2; r++) {
-            for (let c = 0; c < 6; c++) {
-                const pane = new THREE.Mesh(new THREE.PlaneGeometry(8, 12), windowMat);
-                pane.position.set(-25 + c * 10, 35 + r * 15, -49.2);
-                windowGroup.add(pane);
-            }
-        }
-        this.scene.add(windowGroup);
-
         this.lightTargets = {
             main: new THREE.Object3D(),
             side: new THREE.Object3D()
@@ -237,6 +245,8 @@ export class Renderer {
         this.lightTargets.main.position.set(0, 8, -15);
         this.lightTargets.side.position.set(-15, 4, -25);
         this.scene.add(this.lightTargets.main, this.lightTargets.side);
+
+        this.setEnvironmentMix({ hall: 1 });
     }
 
     initLighting() {
@@ -287,29 +297,15 @@ export class Renderer {
 
     }
 
-    initPipes() {
-        const pipeMat = new THREE.MeshStandardMaterial({
-            color: 0x1a212b,
-            roughness: 0.4,
-            metalness: 0.6
-        });
-        for (let i = 0; i < 8; i++) {
-            const pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 0.6, 160, 8), pipeMat);
-            pipe.rotation.z = Math.PI / 2;
-            pipe.position.set(0, 15 + i * 6, -48);
-            this.scene.add(pipe);
-        }
-    }
-
     initCables() {
         const cableMat = new THREE.LineBasicMaterial({ color: 0x080808, linewidth: 1 });
         for (let i = 0; i < 12; i++) {
             const points = [];
             for (let j = 0; j < 4; j++) {
                 points.push(new THREE.Vector3(
-                    -60 + Math.random() * 120,
+                    rng.range(-60, 60),
                     60 - j * 15,
-                    -60 + Math.random() * 120
+                    rng.range(-60, 60)
                 ));
             }
             const curve = new THREE.CatmullRomCurve3(points);
@@ -319,53 +315,55 @@ export class Renderer {
         }
     }
 
-    initParticles() {
-        const count = 0; // Optimized count
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(count * 3);
-        const offsets = new Float32Array(count);
-        for (let i = 0; i < count; i++) {
-            positions[i * 3] = Math.random() * 140 - 70;
-            positions[i * 3 + 1] = Math.random() * 60;
-            positions[i * 3 + 2] = Math.random() * 140 - 70;
-            offsets[i] = Math.random() * Math.PI * 2;
-        }
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('offset', new THREE.BufferAttribute(offsets, 1));
-        
-        const material = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 },
-                energy: { value: 0 },
-                color: { value: new THREE.Color(0xffffff) }
-            },
-            vertexShader: `
-                uniform float time;
-                uniform float energy;
-                attribute float offset;
-                void main() {
-                    vec3 pos = position;
-                    pos.y += sin(time * 0.4 + offset) * (1.0 + energy * 3.0);
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    float size = 2.0 * (120.0 / -mvPosition.z);
-                    gl_PointSize = clamp(size, 1.0, 6.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 color;
-                void main() {
-                    if (length(gl_PointCoord - vec2(0.5)) > 0.5) discard;
-                    gl_FragColor = vec4(color, 0.35);
-                }
-            `,
-            transparent: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
+    /* GPU particle field (ParticleField.js): bursts on pointer down, streaks along the cursor */
+    initParticles(budget) {
+        this.particles = new ParticleField(this.renderer, { budget });
+        this.scene.add(this.particles.points);
+
+        this.raycaster = new THREE.Raycaster();
+        this.corePlane = new THREE.Plane();
+        this.trail = { x: null, y: null, point: new THREE.Vector3() };
+        this.downPointers = new Set();
+
+        // Taps also carry replayed takes, so playback re-creates the bursts
+        signals.addTap((event) => {
+            if (event.type === 'pointer' && event.down && !this.downPointers.has(event.id)) {
+                this.downPointers.add(event.id);
+                const point = this.screenToCorePlane(event.x, event.y, new THREE.Vector3());
+                if (point) this.particles.burst(point);
+            } else if (event.type === 'pointerUp') {
+                this.downPointers.delete(event.id);
+            }
         });
-        
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+    }
+
+    /**
+     * Projects a normalized screen point (0..1, y down) onto the plane through
+     * the core facing the camera. Returns null if the ray misses it.
+     */
+    screenToCorePlane(x, y, target) {
+        this._ndc ||= new THREE.Vector2();
+        this._ndc.set(x * 2 - 1, 1 - y * 2);
+        this.raycaster.setFromCamera(this._ndc, this.camera);
+        const normal = this.camera.getWorldDirection(this._planeNormal ||= new THREE.Vector3());
+        this.corePlane.setFromNormalAndCoplanarPoint(normal, this.coreGroup.position);
+        return this.raycaster.ray.intersectPlane(this.corePlane, target);
+    }
+
+    /* Streak particles along the segment the cursor moved this frame */
+    updateTrail(position, velocity) {
+        const { trail } = this;
+        const moved = trail.x === null ? 0 : Math.hypot(position.x - trail.x, position.y - trail.y);
+        trail.x = position.x;
+        trail.y = position.y;
+
+        const previous = this._trailPrevious ||= new THREE.Vector3();
+        previous.copy(trail.point);
+        const point = this.screenToCorePlane(position.x, position.y, trail.point);
+        if (!point || moved < 0.002) return;
+
+        const count = Math.min(96, Math.ceil(previous.distanceTo(point) * 6 * (0.5 + velocity)));
+        this.particles.trail(previous, point, count);
     }
 
     initInteractiveObject() {
@@ -380,10 +378,9 @@ export class Renderer {
         
         this.rings = [];
         for (let i = 0; i < 3; i++) {
-            const ring = new THREE.Mesh(
-                new THREE.TorusGeometry(4 + i * 2.5, 0.25, 12, 64),
-                ringMat
-            );
+            const material = ringMat.clone(); // per ring, so hover highlights one (see Picker.js)
+            material.userData.highlightable = true;
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(4 + i * 2.5, 0.25, 12, 64), material);
             this.coreGroup.add(ring);
             this.rings.push(ring);
         }
@@ -479,15 +476,113 @@ export class Renderer {
         return beam;
     }
 
-    updateLighting(energy, focus) {
+    /* =========================
+     * Modulation matrix destinations (see Modulation.js); key / spot
+     * intensity, beam and haze opacity and the post passes are driven by routes
+     * ========================= */
+    registerModulation() {
+        // Eased click glow (see updateLighting)
+        modulation.addSource('coreEnergy', () => this.coreEnergy);
+
+        modulation.addDestination('light.key', {
+            base: 2.0,
+            range: [0, 20],
+            apply: (v) => { this.lights.key.intensity = v; }
+        });
+        modulation.addDestination('light.spot', {
+            base: 4.5,
+            range: [0, 30],
+            apply: (v) => { this.lights.spotMain.intensity = v; }
+        });
+        modulation.addDestination('beam.opacity', {
+            base: 0.25,
+            range: [0, 1],
+            apply: (v) => { this.beams[0].material.opacity = v; }
+        });
+        modulation.addDestination('haze.opacity', {
+            base: 0.025,
+            range: [0, 0.5],
+            apply: (v) => {
+                this.hazePlanes.forEach((haze, index) => {
+                    haze.material.opacity = Math.max(0, v + this.pulse.high * 0.03 - index * 0.008);
+                });
+            }
+        });
+
+        const { passes } = this.post;
+        modulation.addDestination('post.bloom', {
+            base: 0.35,
+            range: [0, 3],
+            apply: (v) => { passes.bloom.strength = v; }
+        });
+        modulation.addDestination('post.shafts', {
+            base: 1.0,
+            range: [0, 10],
+            apply: (v) => { passes.shafts.uniforms.intensity.value = v; }
+        });
+        modulation.addDestination('post.aberration', {
+            base: 0.0008,
+            range: [0, 0.03],
+            apply: (v) => { passes.aberration.uniforms.amount.value = v; }
+        });
+        modulation.addDestination('post.grain', {
+            base: 0.1,
+            range: [0, 1],
+            apply: (v) => { passes.grain.uniforms.intensity.value = v; }
+        });
+        modulation.addDestination('post.vignette', {
+            base: 1.0,
+            range: [0, 2],
+            apply: (v) => { passes.vignette.uniforms.darkness.value = v; }
+        });
+    }
+
+    /* =========================
+     * Mood (presets): fog, exposure and light colors as plain data
+     * ========================= */
+    getMood() {
+        const lights = {};
+        for (const name of MOOD_LIGHTS) lights[name] = `#${this.lights[name].color.getHexString()}`;
+        return {
+            fogDensity: this.scene.fog.density,
+            fogColor: `#${this.scene.fog.color.getHexString()}`,
+            background: `#${this.scene.background.getHexString()}`,
+            exposure: this.renderer.toneMappingExposure,
+            lights
+        };
+    }
+
+    setMood({ fogDensity, fogColor, background, exposure, lights = {} }) {
+        if (fogDensity !== undefined) this.scene.fog.density = fogDensity;
+        if (fogColor) this.scene.fog.color.set(fogColor);
+        if (background) {
+            this.scene.background.set(background);
+            this.renderer.setClearColor(this.scene.background, 1);
+        }
+        if (exposure !== undefined) this.renderer.toneMappingExposure = exposure;
+        for (const name of MOOD_LIGHTS) {
+            if (lights[name]) this.lights[name].color.set(lights[name]);
+        }
+    }
+
+    /* Subscribes to AudioEngine's MusicEventBus */
+    connectMusic(events) {
+        events.on('grain', ({ velocity }) => {
+            this.markerFlash = Math.max(this.markerFlash, velocity);
+        });
+        events.on('chord', ({ index }) => {
+            // Each chord degree tints the windows a little further around the hue circle
+            this.windowTarget.set(0x9bbce0).offsetHSL(index * 0.06, 0, 0);
+        });
+    }
+
+    updateLighting(energy, dt) {
         const { dragForce, dragActive } = signals.params;
         const interactionBoost = dragActive * (0.8 + dragForce * 4.0);
         
-        this.lights.key.intensity = 2.0 + energy * 1.5;
-        this.lights.spotMain.intensity = 4.5 + focus * 3.5;
-        
         // Massive core light emission spreading into space
-        const coreIntensity = 4.0 + interactionBoost * 60.0 + energy * 10.0;
+        const coreIntensity = 4.0 + interactionBoost * 60.0 + energy * 10.0
+            + this.pulse.level * 8.0 + this.pulse.transient * 10.0;
         this.lights.accent.intensity =
             THREE.MathUtils.clamp(coreIntensity, 0, 40);
 
@@ -506,31 +601,33 @@ export class Renderer {
         this.coreInner.material.emissiveIntensity =
             THREE.MathUtils.lerp(0.8, 4.5, this.coreEnergy);
 
-        this.beams[0].material.opacity = 0.25 + focus * 0.45;
-        this.hazePlanes.forEach((haze, index) => {
-            haze.material.opacity =
-                0.025 + focus * 0.04 - index * 0.008;
-        });
         
         this.lights.coreGlow.intensity =
             THREE.MathUtils.clamp(2.0 + interactionBoost * 12.0, 0, 16);
 
         this.lights.coreGlow.position.copy(this.coreGroup.position);
+
+        this.lights.redMarker.intensity = 1.2 + this.markerFlash * 14.0;
+        this.markerFlash *= decayFactor(MARKER_FLASH_HALF_LIFE, dt);
+
+        this.windowColor.lerp(this.windowTarget, lerpFactor(WINDOW_TINT_TIME, dt));
+        this.environments.forEach(({ windows }) => windows?.emissive.copy(this.windowColor));
         
         this.coreShells.forEach((shell, i) => {
             const cfg = [1.20, 1.40, 1.55][i];
 
-            // scale
+            // scale (bass breathes the shells even when idle)
             const targetScale = THREE.MathUtils.lerp(1.0, cfg, this.coreEnergy);
-            shell.scale.setScalar(targetScale);
+            shell.scale.setScalar(targetScale + this.pulse.low * 0.12 * (i + 1) + this.pulse.transient * 0.06);
 
             // opacity
             shell.material.opacity =
-                THREE.MathUtils.lerp(0.0, 0.35 - i * 0.06, this.coreEnergy);
+                THREE.MathUtils.lerp(0.0, 0.35 - i * 0.06, this.coreEnergy)
+                + this.pulse.low * (0.12 - i * 0.03);
         });
     }
 
-    updateCamera(position) {
+    updateCamera(position, look = { x: 0, y: 0 }) {
         const t = this.clock.elapsedTime;
         
         // 🔴 반드시 필요
@@ -543,20 +640,21 @@ export class Renderer {
         const myRaw = (position.y - 0.5) * positionRange;
         
         // === dead zone + edge emphasis ===
-        const mx = edgeWeightedInput(mxRaw, 0.25, 3.0);
-        const my = edgeWeightedInput(myRaw, 0.25, 3.0);
+        // + explicit look offset (gamepad right stick)
+        const mx = THREE.MathUtils.clamp(edgeWeightedInput(mxRaw, 0.25, 3.0) + look.x, -1, 1);
+        const my = THREE.MathUtils.clamp(edgeWeightedInput(myRaw, 0.25, 3.0) + look.y, -1, 1);
 
         // === 카메라 위치 (거의 고정) ===
         const basePos = this._baseCamPos ||= new THREE.Vector3();
         basePos.set(
-            -12 + Math.sin(t * 0.3) * 1.2,
-            16  + Math.cos(t * 0.25) * 1.0,
-            45
+            this.framing.position.x + Math.sin(t * 0.3) * 1.2,
+            this.framing.position.y + Math.cos(t * 0.25) * 1.0,
+            this.framing.position.z
         );
         this.camera.position.lerp(basePos, 0.05);
 
         // === 목표 시선 ===
-        const lookBase = this._lookBase ||= new THREE.Vector3(0, 10, -15);
+        const lookBase = this.framing.look;
         this._lookTarget.set(
             lookBase.x + mx * 4.0,
             lookBase.y + my * 4.0,
@@ -582,28 +680,56 @@ export class Renderer {
         const { dragActive } = signals.params;
         const t = this.clock.elapsedTime;
         this.rings.forEach((ring, i) => {
-            ring.rotation.x += 0.012 * (i + 1) + dragForce * 0.12;
-            ring.rotation.z += 0.018 * (i + 1) + dragForce * 0.18;
-            ring.scale.setScalar(1 + Math.sin(t * 2.5 + i) * 0.06 * energy);
+            // A grabbed ring stays in the hand: only the pointer turns it
+            if (!this.picker.isHeld(ring)) {
+                ring.rotation.x += 0.012 * (i + 1) + dragForce * 0.12;
+                ring.rotation.z += 0.018 * (i + 1) + dragForce * 0.18;
+            }
+            ring.scale.setScalar(
+                1 + Math.sin(t * 2.5 + i) * 0.06 * energy
+                + this.pulse.mid * 0.05 + this.pulse.grain * 0.08 * (3 - i) / 3
+            );
         });
         this.coreGroup.position.y = 10 + Math.sin(t * 1.8) * 1.2 + dragForce * 5.0;
     }
 
-    draw() {
-        const dt = this.clock.getDelta();
-        if (dt > 0.1) return;
+    /* Follows one analysis frame: values jump up immediately and fall back slowly */
+    updatePulse(audio) {
+        const follow = (key, value, release = 0.12) => {
+            const current = this.pulse[key];
+            this.pulse[key] = value > current ? value : current + (value - current) * release;
+        };
+        follow('low', audio.bands.low);
+        follow('mid', audio.bands.mid);
+        follow('high', audio.bands.high);
+        follow('level', audio.level);
+        follow('grain', audio.layers.grain, 0.2);
+        follow('transient', audio.transientEnvelope, 0.25);
+    }
 
-        const { energy, focus, position, dragForce } = signals.params;
-        
-        // Use GPU for particle updates
-        if (this.particles) {
-            this.particles.material.uniforms.time.value = this.clock.elapsedTime;
-            this.particles.material.uniforms.energy.value = energy;
-        }
+    /** @param {typeof SILENT_FRAME} [audio] analysis frame from audioEngine.analysis */
+    draw(audio = SILENT_FRAME) {
+        // Long frames (slow device, background tab) still render, with a clamped step
+        const dt = Math.min(this.clock.getDelta(), 0.1);
 
-        this.updateLighting(energy, focus);
-        this.updateCamera(position);
+        this.updatePulse(audio);
+
+        // lookX / lookY are registered by GamepadInput
+        const { energy, position, dragForce, sharpness, velocity, lookX = 0, lookY = 0 } = signals.params;
+
+        this.updateLighting(energy, dt);
+        this.updateCamera(position, { x: lookX, y: lookY });
         this.updateCore(dragForce, energy);
+        this.picker.update(dt);
+
+        this.updateTrail(position, velocity);
+        this.particles.update(dt, {
+            core: this.coreGroup.position,
+            attraction: dragForce,
+            turbulence: sharpness,
+            energy,
+            time: this.clock.elapsedTime
+        });
 
         this.beams.forEach((beam) => {
             beam.position.copy(this.lights.spotMain.position);
@@ -612,6 +738,6 @@ export class Renderer {
             beam.translateY(-60);
         });
 
-        this.renderer.render(this.scene, this.camera);
+        this.post.render(dt);
     }
 }
\ No newline at end of file
@@ -0,0 +1,395 @@
+/**
+ * environments.js
+ * Room builders for the scene system (see Scenes.js), modelled on the
+ * img/inside*.jpg references. Each builder returns a group around the
+ * shared core (0, 10, -15) and, optionally, a window material the renderer
+ * tints on chord changes. Every environment draws from its own random
+ * stream so visiting scenes in a different order keeps the geometry stable.
+ */
+
+import * as THREE from 'three';
+
+function createIrregularHeptagonPath(rng, radius, irregularity = 0.12) {
+    const path = new THREE.Path();
+    const points = [];
+
+    for (let i = 0; i < 7; i++) {
+        const angle = (i / 7) * Math.PI * 2;
+        const variation = 1 + rng.range(-1, 1) * irregularity;
+        const r = radius * variation;
+
+        points.push(new THREE.Vector2(
+            Math.cos(angle) * r,
+            Math.sin(angle) * r
+        ));
+    }
+
+    path.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        path.lineTo(points[i].x, points[i].y);
+    }
+    path.closePath();
+
+    return path;
+}
+
+/* Square plate, optionally with a heptagonal hole, lying on the XZ plane */
+function createPlate(size, thickness, hole = null) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-size, -size);
+    shape.lineTo(size, -size);
+    shape.lineTo(size, size);
+    shape.lineTo(-size, size);
+    shape.closePath();
+    if (hole) shape.holes.push(hole);
+
+    const geometry = new THREE.ExtrudeGeometry(shape, {
+        depth: thickness,
+        bevelEnabled: false
+    });
+    geometry.rotateX(-Math.PI / 2);
+    return geometry;
+}
+
+/* Terraced pit under the core, shared by every room */
+function createSteppedFloor(rng, floorMat) {
+    const group = new THREE.Group();
+
+    const levels = 4;
+    const baseRadius = 35;      // hole 최대 크기
+    const stepHeight = 2;
+    const plateThickness = 2;
+
+    for (let i = 0; i < levels; i++) {
+        // 바깥 바닥 + 안쪽 7각형 hole, 계단 위치
+        const holeRadius = baseRadius * (1 - i * 0.22);
+        const hole = createIrregularHeptagonPath(rng, holeRadius, 0.12);
+        const mesh = new THREE.Mesh(createPlate(120, plateThickness, hole), floorMat);
+        mesh.receiveShadow = true;
+        mesh.position.y = -i * stepHeight;
+        group.add(mesh);
+    }
+
+    // ===== Bottom solid plate (no hole), one step below the last ring =====
+    const bottomMesh = new THREE.Mesh(createPlate(120, plateThickness), floorMat);
+    bottomMesh.receiveShadow = true;
+    bottomMesh.position.y = -levels * stepHeight;
+    group.add(bottomMesh);
+
+    return group;
+}
+
+function box(w, h, d, material, x, y, z) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/* Grid of emissive panes on the back wall */
+function addWindowGrid(group, material, { x, y, cols, rows, width, height, gap, z = -49.2 }) {
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const pane = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+            pane.position.set(x + c * (width + gap), y + r * (height + gap), z);
+            group.add(pane);
+        }
+    }
+}
+
+/* Marks an object as a pickable prop (hover highlight, see Picker.js); it gets its own materials */
+function prop(object) {
+    object.traverse((mesh) => {
+        if (!mesh.material) return;
+        mesh.material = mesh.material.clone();
+        mesh.material.userData.highlightable = true;
+    });
+    object.userData.prop = true;
+    return object;
+}
+
+/* Cord from the ceiling ending in a cone shade */
+function createHangingLamp(material, x, z, top, length) {
+    const group = new THREE.Group();
+    const cord = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, length, 4), material);
+    cord.position.y = top - length / 2;
+    const shade = new THREE.Mesh(new THREE.ConeGeometry(2.2, 1.6, 16, 1, true), material);
+    shade.position.y = top - length - 0.6;
+    group.add(cord, shade);
+    group.position.set(x, 0, z);
+    return group;
+}
+
+/**
+ * @typedef {object} EnvironmentBuild
+ * @property {THREE.Group} group
+ * @property {THREE.MeshStandardMaterial|null} windows  tinted by chord changes
+ */
+
+/* name -> { stream?, build(rng) => EnvironmentBuild } */
+export const ENVIRONMENTS = {
+    // The original room (inside1): panelled walls, columns, high windows, pipes
+    hall: {
+        stream: 'geometry', // pre-scene stream name keeps existing seeds identical
+        build(rng) {
+            const group = new THREE.Group();
+            group.add(createSteppedFloor(rng, new THREE.MeshStandardMaterial({
+                color: 0x151c26,
+                roughness: 0.75,
+                metalness: 0.3
+            })));
+
+            const wallMat = new THREE.MeshStandardMaterial({
+                color: 0x202a3a, // Brighter base wall
+                roughness: 0.6,
+                metalness: 0.3
+            });
+
+            const addWallGroup = (w, h, d, x, y, z, rotY = 0) => {
+                const wall = new THREE.Group();
+                const mainWall = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), wallMat);
+                mainWall.receiveShadow = true;
+                wall.add(mainWall);
+
+                for (let i = 0; i < 4; i++) {
+                    const panel = new THREE.Mesh(new THREE.BoxGeometry(w * 0.7, h * 0.12, d * 1.4), wallMat);
+                    panel.position.y = -h * 0.3 + i * h * 0.2;
+                    panel.position.z = d * 0.25;
+                    wall.add(panel);
+                }
+
+                wall.position.set(x, y, z);
+                wall.rotation.y = rotY;
+                group.add(wall);
+            };
+
+            addWallGroup(140, 60, 2, 0, 30, -50);
+            addWallGroup(2, 60, 140, -50, 30, 0);
+            addWallGroup(2, 60, 140, 50, 30, 0);
+
+            const columnMat = new THREE.MeshStandardMaterial({
+                color: 0x121822,
+                roughness: 0.5,
+                metalness: 0.5
+            });
+            for (let i = 0; i < 4; i++) {
+                const x = (i % 2 === 0 ? -1 : 1) * 42;
+                const z = -35 + Math.floor(i / 2) * 50;
+                group.add(prop(box(5, 60, 5, columnMat, x, 30, z)));
+            }
+
+            const windows = new THREE.MeshStandardMaterial({
+                color: 0x2a364a,
+                emissive: 0x9bbce0,
+                emissiveIntensity: 1.8,
+                transparent: true,
+                opacity: 0.8
+            });
+            addWindowGrid(group, windows, { x: -25, y: 35, cols: 6, rows: 2, width: 8, height: 12, gap: 2 });
+
+            const pipeMat = new THREE.MeshStandardMaterial({
+                color: 0x1a212b,
+                roughness: 0.4,
+                metalness: 0.6
+            });
+            for (let i = 0; i < 8; i++) {
+                const pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 0.6, 160, 8), pipeMat);
+                pipe.rotation.z = Math.PI / 2;
+                pipe.position.set(0, 15 + i * 6, -48);
+                group.add(pipe);
+            }
+
+            return { group, windows };
+        }
+    },
+
+    // Searchlight hall (inside2): one huge pillar, broken window clusters, hanging lamps
+    searchlight: {
+        build(rng) {
+            const group = new THREE.Group();
+            group.add(createSteppedFloor(rng, new THREE.MeshStandardMaterial({
+                color: 0x262a2e,
+                roughness: 0.85,
+                metalness: 0.1
+            })));
+
+            const wallMat = new THREE.MeshStandardMaterial({ color: 0x1e2328, roughness: 0.8, metalness: 0.1 });
+            group.add(box(140, 70, 2, wallMat, 0, 35, -50));
+            group.add(box(2, 70, 140, wallMat, -50, 35, 0));
+            group.add(box(2, 70, 140, wallMat, 50, 35, 0));
+
+            // Foreground pillar and its ceiling beam
+            const pillarMat = new THREE.MeshStandardMaterial({ color: 0x0d1013, roughness: 0.7, metalness: 0.2 });
+            group.add(box(4.5, 60, 4.5, pillarMat, -16, 30, 12));
+            group.add(box(120, 3, 5, pillarMat, 0, 58, 12));
+
+            // Window clusters, a few panes knocked out
+            const windows = new THREE.MeshStandardMaterial({
+                color: 0x303a44,
+                emissive: 0xb8c8d8,
+                emissiveIntensity: 1.4,
+                transparent: true,
+                opacity: 0.85
+            });
+            const frameMat = new THREE.MeshStandardMaterial({ color: 0x14181c, roughness: 0.6 });
+            [-30, 2, 30].forEach((cx, cluster) => {
+                for (let r = 0; r < 4; r++) {
+                    for (let c = 0; c < 3; c++) {
+                        if (rng.chance(0.15)) continue;
+                        const pane = new THREE.Mesh(new THREE.PlaneGeometry(4.2, 5.2), windows);
+                        pane.position.set(cx + c * 5, 24 + cluster * 4 + r * 6, -48.9);
+                        pane.rotation.z = rng.range(-0.04, 0.04);
+                        group.add(pane);
+                    }
+                }
+                group.add(box(16, 0.6, 0.6, frameMat, cx + 5, 22 + cluster * 4, -48.6));
+            });
+
+            const lampMat = new THREE.MeshStandardMaterial({ color: 0x101316, roughness: 0.5, metalness: 0.4 });
+            group.add(prop(createHangingLamp(lampMat, -4, -22, 58, 22)));
+            group.add(prop(createHangingLamp(lampMat, 32, -30, 58, 30)));
+
+            // Searchlight on a tripod, aimed back at the core
+            const rig = new THREE.Group();
+            const head = box(6, 4, 5, lampMat, 0, 13, 0);
+            const lens = new THREE.Mesh(
+                new THREE.CircleGeometry(1.3, 24),
+                new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xe8f0ff, emissiveIntensity: 3 })
+            );
+            lens.position.set(0, 13, 2.6);
+            rig.add(head, lens, box(1.2, 10, 1.2, lampMat, 0, 6, 0));
+            for (let i = 0; i < 3; i++) {
+                const leg = box(0.6, 12, 0.6, lampMat, 0, 5, 0);
+                leg.rotation.set(0.45 * Math.cos(i * 2.1), 0, 0.45 * Math.sin(i * 2.1));
+                rig.add(leg);
+            }
+            rig.position.set(24, 0, -24);
+            rig.lookAt(0, 0, -15);
+            group.add(prop(rig));
+
+            return { group, windows };
+        }
+    },
+
+    // Boarded bunker (inside3): timber wall with a rock-filled breach, slanted girder
+    bunker: {
+        build(rng) {
+            const group = new THREE.Group();
+            group.add(createSteppedFloor(rng, new THREE.MeshStandardMaterial({
+                color: 0x2c2a26,
+                roughness: 0.95,
+                metalness: 0.0
+            })));
+
+            const earthMat = new THREE.MeshStandardMaterial({ color: 0x0c0d0c, roughness: 1 });
+            group.add(box(140, 60, 2, earthMat, 0, 30, -54));
+            group.add(box(2, 60, 140, earthMat, -50, 30, 0));
+            group.add(box(2, 60, 140, earthMat, 50, 30, 0));
+            group.add(box(140, 2, 140, earthMat, 0, 46, 0));
+
+            // Horizontal boards, each slightly askew
+            const boardMat = new THREE.MeshStandardMaterial({ color: 0x3a3a30, roughness: 0.9 });
+            for (let i = 0; i < 12; i++) {
+                const board = box(rng.range(24, 36), 2.6, 0.8, boardMat, rng.range(-40, 40), 1.5 + i * 3.4, -47);
+                board.rotation.z = rng.range(-0.03, 0.03);
+                group.add(board);
+            }
+            for (let i = 0; i < 6; i++) {
+                group.add(box(2, 44, 1.6, boardMat, -45 + i * 18, 22, -46));
+            }
+
+            // Breach filled with rocks behind a diagonal brace
+            const rockMat = new THREE.MeshStandardMaterial({ color: 0x5a554a, roughness: 1, flatShading: true });
+            for (let i = 0; i < 14; i++) {
+                const rock = new THREE.Mesh(new THREE.DodecahedronGeometry(rng.range(1.2, 2.4)), rockMat);
+                rock.position.set(rng.range(-26, -6), rng.range(1, 10), rng.range(-46.5, -45));
+                rock.rotation.set(rng.range(0, Math.PI), rng.range(0, Math.PI), 0);
+                group.add(rock);
+            }
+            const brace = box(30, 2, 1.2, boardMat, -16, 7, -44);
+            brace.rotation.z = 0.42;
+            group.add(brace);
+
+            // Slanted steel girder across the room
+            const girderMat = new THREE.MeshStandardMaterial({ color: 0x15171a, roughness: 0.5, metalness: 0.6 });
+            const girder = box(3.5, 70, 3.5, girderMat, 8, 26, -40);
+            girder.rotation.z = -0.35;
+            group.add(prop(girder));
+
+            return { group, windows: null };
+        }
+    },
+
+    // Flooded tank (inside5): grated floor, cable-hung crates with red lamps, water ceiling
+    tank: {
+        build(rng) {
+            const group = new THREE.Group();
+            group.add(createSteppedFloor(rng, new THREE.MeshStandardMaterial({
+                color: 0x1a1f24,
+                roughness: 0.6,
+                metalness: 0.5
+            })));
+
+            // Grate bars across the walkway in front of the pit
+            const grateMat = new THREE.MeshStandardMaterial({ color: 0x0f1215, roughness: 0.4, metalness: 0.7 });
+            for (let i = 0; i < 40; i++) {
+                group.add(box(0.4, 0.3, 14, grateMat, -60 + i * 3, 2.2, 26));
+            }
+
+            const wallMat = new THREE.MeshStandardMaterial({ color: 0x182026, roughness: 0.7, metalness: 0.2 });
+            group.add(box(140, 60, 2, wallMat, 0, 30, -56));
+            group.add(box(2, 60, 140, wallMat, -52, 30, 0));
+            group.add(box(2, 60, 140, wallMat, 52, 30, 0));
+
+            // Water surface seen from below
+            const ceiling = new THREE.PlaneGeometry(140, 140, 28, 28);
+            const positions = ceiling.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setZ(i, rng.range(-1.2, 1.2));
+            }
+            ceiling.computeVertexNormals();
+            const water = new THREE.Mesh(ceiling, new THREE.MeshStandardMaterial({
+                color: 0x3a4a56,
+                roughness: 0.2,
+                metalness: 0.3,
+                side: THREE.DoubleSide
+            }));
+            water.rotation.x = Math.PI / 2;
+            water.position.y = 55;
+            group.add(water);
+
+            // Crates on cables, each with a red indicator
+            const crateMat = new THREE.MeshStandardMaterial({ color: 0x111418, roughness: 0.6, metalness: 0.3 });
+            const lampMat = new THREE.MeshStandardMaterial({ color: 0x330000, emissive: 0xff2020, emissiveIntensity: 2.5 });
+            const cableMat = new THREE.MeshStandardMaterial({ color: 0x050607, roughness: 0.8 });
+            for (let i = 0; i < 10; i++) {
+                const side = i % 2 === 0 ? -1 : 1;
+                const x = side * rng.range(22, 40);
+                const z = -42 + Math.floor(i / 2) * 14 + rng.range(-2, 2);
+                const height = rng.range(5, 8);
+                group.add(prop(box(5, height, 5, crateMat, x, height / 2, z)));
+
+                const lamp = new THREE.Mesh(new THREE.PlaneGeometry(0.7, 0.7), lampMat);
+                lamp.position.set(x, height * 0.75, z + 2.55);
+                group.add(lamp);
+
+                const cable = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 55 - height, 4), cableMat);
+                cable.position.set(x + rng.range(-0.5, 0.5), height + (55 - height) / 2, z);
+                group.add(cable);
+            }
+
+            // Pale doorway on the far wall
+            const windows = new THREE.MeshStandardMaterial({
+                color: 0x2a3440,
+                emissive: 0xd0e0ea,
+                emissiveIntensity: 1.6,
+                transparent: true,
+                opacity: 0.9
+            });
+            addWindowGrid(group, windows, { x: -38, y: 10, cols: 1, rows: 1, width: 5, height: 8, gap: 0, z: -54.9 });
+
+            return { group, windows };
+        }
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * quality.js
+ * Rendering quality tiers, lowest first: pixel ratio cap, MSAA samples,
+ * shadow maps, post-processing passes (see PostProcessing.js), particle
+ * share (drawn only; the simulation keeps its size) and haze layers.
+ * QualityGovernor steps through them to hold a frame rate;
+ * Renderer.setQuality() applies one.
+ */
+
+export const QUALITY_PRESETS = {
+    minimal: {
+        name: 'minimal',
+        pixelRatio: 0.5,
+        antialias: 0,
+        shadows: null,
+        shaftSamples: 16,
+        particles: 0.1,
+        hazeLayers: 0,
+        passes: { shafts: false, bloom: false, aberration: false, grain: false, vignette: true }
+    },
+    low: {
+        name: 'low',
+        pixelRatio: 0.75,
+        antialias: 0,
+        shadows: { type: 'basic', mapSize: 256 },
+        shaftSamples: 16,
+        particles: 0.25,
+        hazeLayers: 1,
+        passes: { shafts: false, bloom: false, aberration: false, grain: true, vignette: true }
+    },
+    medium: {
+        name: 'medium',
+        pixelRatio: 1,
+        antialias: 2,
+        shadows: { type: 'pcf', mapSize: 512 },
+        shaftSamples: 24,
+        particles: 0.6,
+        hazeLayers: 2,
+        passes: { shafts: true, bloom: true, aberration: false, grain: true, vignette: true }
+    },
+    high: {
+        name: 'high',
+        pixelRatio: 2,
+        antialias: 4,
+        shadows: { type: 'pcf', mapSize: 1024 },
+        shaftSamples: 48,
+        particles: 1,
+        hazeLayers: 3,
+        passes: { shafts: true, bloom: true, aberration: true, grain: true, vignette: true }
+    }
+};
+
+/* Tier names, lowest first */
+export const QUALITY_TIERS = Object.keys(QUALITY_PRESETS);